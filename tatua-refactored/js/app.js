@@ -2,47 +2,144 @@ import { dom } from './components/dom.js';
 import * as validation from './components/validation.js';
 import * as storage from './services/storage.js';
 import * as ticketService from './services/ticket.js';
+import { transferTickets } from './services/transfer.js';
+import { SchemaVersionError } from './services/migrations.js';
+import * as workflow from './services/workflow.js';
+import { getSlaUpdatesForStatus } from './services/sla.js';
+import * as agents from './services/agents.js';
+import { setAuditActor } from './services/audit.js';
+import * as thread from './services/thread.js';
+import * as contacts from './services/contacts.js';
+import { buildEml, buildMailto } from './services/forward.js';
+import * as trash from './services/trash.js';
+import * as tags from './services/tags.js';
+import { getSettings, updateSettings } from './services/settings.js';
+import { buildExport } from './services/export.js';
+import * as importService from './services/import.js';
+import * as backup from './services/backup.js';
+import * as query from './services/query.js';
+import * as views from './services/views.js';
+import * as urlState from './services/urlState.js';
+import { SearchIndex, getSearchTerms } from './services/search.js';
+import { listenForOtherTabs, countOtherTabs } from './services/tabs.js';
 import * as screen from './components/screen.js';
 import * as modal from './components/modal.js';
+import * as lockScreen from './components/lockScreen.js';
+import * as cryptoService from './services/crypto.js';
 import { showToast } from './components/toast.js';
 
+const SLA_REFRESH_INTERVAL_MS = 60 * 1000;
+const DEFAULT_SORTERS = [{ column: 'dateCreated', order: 'desc' }];
+const DEFAULT_SCREEN = 'raiseTicket';
+// Buttons rendered from ticket data name their handler in `data-ticket-action` rather than in an inline `onclick`,
+// so a ticket ID only ever ends up in an attribute value, never in script.
+const TICKET_ACTIONS = ['viewTicket', 'replyToTicket', 'assignTicket', 'editTicket', 'confirmDelete', 'changeStatus', 'restoreTicket', 'confirmPurge'];
+
 export class App {
     constructor() {
         this.storageStrategies = {
             memory: new storage.MemoryStorage(),
             session: new storage.SessionStorage(),
             local: new storage.LocalStorage(),
+            indexeddb: new storage.IndexedDBStorage(),
+            remote: new storage.RemoteStorage(),
         };
 
+        Object.entries(this.storageStrategies).forEach(([storageType, strategy]) => {
+            strategy.subscribe?.(changes => this.handleExternalChanges(storageType, changes));
+        });
+
         this.currentStorage = this.getStorageFromURL() || 'memory';
-        this.currentFilters = [];
-        this.currentSorters = [{ column: 'dateCreated', order: 'desc' }];
+        const listState = this.getListStateFromURL();
+        this.currentScreen = listState.screen;
+        this.currentFilters = listState.filters;
+        this.currentSorters = listState.sorters;
+        this.savedViews = [];
+        this.loadedTickets = [];
+        this.searchIndex = new SearchIndex();
+        this.searchText = '';
+        this.visibleTickets = [];
+        this.myTicketsOnly = false;
+        this.assigningTicket = null;
+        this.assigningSelection = false;
+        this.selectedTicketIds = new Set();
+        this.forwardingTicket = null;
+        this.exportingTickets = [];
+        this.importData = null;
+        this.importRows = [];
+        this.pendingRestore = null;
         this.currentAttachmentData = null;
         this.currentEditAttachmentData = null;
-        this.editingTicketId = null;
+        this.editingTicket = null;
+        this.pendingConflict = null;
+        this.loadRequestId = 0;
+        this.purgingExpired = false;
 
         this.init();
     }
 
+    // Tickets are only loaded once the passphrase has unlocked the encryption key.
     init() {
+        setAuditActor(() => agents.getCurrentAgent());
+        listenForOtherTabs();
         this.setupEventListeners();
-        this.loadTickets();
         this.updateUI();
+        screen.switchScreen(this.currentScreen);
+        lockScreen.showLockScreen(!cryptoService.hasPassphrase());
+        setInterval(() => ticketService.refreshSlaTimers(this.visibleTickets), SLA_REFRESH_INTERVAL_MS);
     }
 
     getStorageFromURL() {
         const params = new URLSearchParams(window.location.search);
         const storageType = params.get('storage');
-        return ['memory', 'session', 'local'].includes(storageType) ? storageType : null;
+        return Object.keys(this.storageStrategies).includes(storageType) ? storageType : null;
     }
 
-    updateURLStorage(storageType) {
+    // Screen, filters and sort order, with defaults for anything missing from the URL or not readable.
+    getListStateFromURL() {
+        const screens = Array.from(dom.navLinks, link => link.getAttribute('data-screen'));
+        const state = urlState.readListState(window.location.search, screens);
+        return {
+            screen: state.screen || DEFAULT_SCREEN,
+            filters: state.filters || query.createQueryGroup(),
+            sorters: state.sorters || DEFAULT_SORTERS,
+        };
+    }
+
+    // Every change worth sharing or going back to adds a history entry, so back/forward steps through them.
+    updateURL() {
         const url = new URL(window.location);
-        url.searchParams.set('storage', storageType);
-        window.history.pushState({}, '', url);
+        url.searchParams.set('storage', this.currentStorage);
+        urlState.writeListState(url, { screen: this.currentScreen, filters: this.currentFilters, sorters: this.currentSorters },
+            { screen: DEFAULT_SCREEN, sorters: DEFAULT_SORTERS });
+        if (url.href !== window.location.href) window.history.pushState({}, '', url);
+    }
+
+    // Browser back/forward: show what the URL describes without adding another history entry.
+    restoreStateFromURL() {
+        const storageType = this.getStorageFromURL() || 'memory';
+        const storageChanged = storageType !== this.currentStorage;
+        const state = this.getListStateFromURL();
+        this.currentStorage = storageType;
+        this.currentFilters = state.filters;
+        this.currentSorters = state.sorters;
+        modal.hideModal('filterModal');
+        modal.hideModal('sortModal');
+        if (storageChanged) {
+            this.updateUI();
+            if (cryptoService.isUnlocked()) this.loadViews();
+        }
+        this.showScreen(state.screen, { updateURL: false });
+        // The list is reloaded even when another screen is shown, so it is current when the agent switches to it.
+        if (state.screen !== 'ticketsList' && cryptoService.isUnlocked()) this.loadTickets();
     }
 
     setupEventListeners() {
+        document.addEventListener('click', (e) => {
+            const button = e.target.closest('[data-ticket-action]');
+            const action = button?.dataset.ticketAction;
+            if (TICKET_ACTIONS.includes(action)) this[action](button.dataset.ticketId, button.dataset.status);
+        });
         dom.storageTypeSelect.addEventListener('change', (e) => this.switchStorage(e.target.value));
         dom.ticketForm.addEventListener('submit', (e) => {
             e.preventDefault();
@@ -53,22 +150,82 @@ export class App {
             this.saveEditedTicket();
         });
         dom.saveChangesBtn.addEventListener('click', () => this.saveEditedTicket());
-        dom.refreshBtn.addEventListener('click', () => {
-            this.loadTickets();
-            showToast('Tickets refreshed successfully');
+        dom.unlockForm.addEventListener('submit', (e) => {
+            e.preventDefault();
+            this.handleUnlock();
+        });
+        dom.setupPassphraseForm.addEventListener('submit', (e) => {
+            e.preventDefault();
+            this.handleSetupPassphrase();
+        });
+        dom.changePassphraseForm.addEventListener('submit', (e) => {
+            e.preventDefault();
+            this.handleChangePassphrase();
+        });
+        dom.submitChangePassphraseBtn.addEventListener('click', () => this.handleChangePassphrase());
+        dom.lockBtn.addEventListener('click', () => this.lockApp());
+        dom.changePassphraseBtn.addEventListener('click', () => {
+            validation.resetForm('changePassphraseForm');
+            modal.showModal('changePassphraseModal');
+        });
+        window.addEventListener('storage', (e) => {
+            // Another tab changed the passphrase (a new salt), so the key held by this tab no longer matches the data.
+            if (e.key !== cryptoService.KEYRING_STORAGE_KEY || !cryptoService.isUnlocked()) return;
+            if (JSON.parse(e.oldValue || 'null')?.salt !== JSON.parse(e.newValue || 'null')?.salt) {
+                this.lockApp();
+                showToast('The passphrase was changed in another tab. Please unlock again.', true);
+            }
+        });
+        window.addEventListener('storage', (e) => {
+            if (e.key === agents.AGENTS_STORAGE_KEY || e.key === agents.CURRENT_AGENT_STORAGE_KEY) this.updateAgentUI();
+        });
+        dom.conflictMergeBtn.addEventListener('click', () => this.resolveConflict('merge'));
+        dom.conflictOverwriteBtn.addEventListener('click', () => this.resolveConflict('overwrite'));
+        dom.conflictDiscardBtn.addEventListener('click', () => this.resolveConflict('discard'));
+        dom.refreshBtn.addEventListener('click', async () => {
+            if (await this.loadTickets()) showToast('Tickets refreshed successfully');
         });
         dom.navLinks.forEach(link => {
             link.addEventListener('click', (e) => {
                 e.preventDefault();
-                screen.switchScreen(e.target.getAttribute('data-screen'));
-                if (e.target.getAttribute('data-screen') === 'ticketsList') {
-                    this.loadTickets();
-                }
+                this.showScreen(e.target.getAttribute('data-screen'));
             });
         });
+        window.addEventListener('popstate', () => this.restoreStateFromURL());
+        dom.backupBtn.addEventListener('click', () => this.openBackupModal());
+        dom.backupForm.addEventListener('submit', (e) => {
+            e.preventDefault();
+            this.handleCreateBackup();
+        });
+        dom.restoreFileBtn.addEventListener('click', () => dom.restoreFileInput.click());
+        dom.restoreFileInput.addEventListener('change', (e) => {
+            dom.restoreFileName.textContent = e.target.files[0]?.name || 'No file chosen';
+            validation.clearFieldError('restoreFile');
+            this.clearPendingRestore();
+        });
+        dom.restoreForm.addEventListener('submit', (e) => {
+            e.preventDefault();
+            this.handleCheckBackup();
+        });
+        dom.submitRestoreBtn.addEventListener('click', () => this.submitRestore());
+        dom.importFileBtn.addEventListener('click', () => dom.importFileInput.click());
+        dom.importFileInput.addEventListener('change', (e) => this.handleImportFile(e.target.files[0]));
+        dom.importMapping.addEventListener('change', () => this.validateImport());
+        dom.importCancelBtn.addEventListener('click', () => this.resetImport());
+        dom.importSubmitBtn.addEventListener('click', () => this.submitImport());
+        dom.trashRetentionSelect.addEventListener('change', (e) => {
+            updateSettings({ trashRetentionDays: Number(e.target.value) });
+            this.loadTrash();
+        });
+        dom.emptyTrashBtn.addEventListener('click', () => this.confirmEmptyTrash());
 
         validation.setupFormValidationListeners('ticketForm');
         validation.setupFormValidationListeners('editTicketForm');
+        validation.setupFormValidationListeners('unlockForm');
+        validation.setupFormValidationListeners('setupPassphraseForm');
+        validation.setupFormValidationListeners('changePassphraseForm');
+        validation.setupFormValidationListeners('backupForm');
+        validation.setupFormValidationListeners('restoreForm');
         
         this.setupFileInputListeners('attachment', data => this.currentAttachmentData = data);
         this.setupFileInputListeners('editAttachment', data => this.currentEditAttachmentData = data);
@@ -87,8 +244,108 @@ export class App {
         dom.resetSorterBtn.addEventListener('click', () => this.resetSorters());
         dom.submitSorterBtn.addEventListener('click', () => this.applySorters());
         dom.addFilterBtn.addEventListener('click', () => ticketService.addFilterRow());
+        dom.addFilterGroupBtn.addEventListener('click', () => ticketService.addFilterGroup());
         dom.resetFilterBtn.addEventListener('click', () => this.resetFilters());
         dom.submitFilterBtn.addEventListener('click', () => this.applyFilters());
+
+        dom.saveViewBtn.addEventListener('click', () => this.openSaveViewModal());
+        dom.saveViewForm.addEventListener('submit', (e) => {
+            e.preventDefault();
+            this.handleSaveView();
+        });
+        dom.submitSaveViewBtn.addEventListener('click', () => this.handleSaveView());
+        dom.viewTabs.addEventListener('click', (e) => {
+            const removeButton = e.target.closest('[data-remove-view]');
+            const tab = e.target.closest('[data-view]');
+            if (removeButton) this.confirmRemoveView(removeButton.dataset.removeView);
+            else if (tab) this.applyView(tab.dataset.view);
+        });
+
+        dom.currentAgentSelect.addEventListener('change', (e) => {
+            agents.setCurrentAgent(e.target.value || null);
+            if (this.myTicketsOnly) this.loadTickets();
+        });
+        dom.manageAgentsBtn.addEventListener('click', () => this.openAgentsModal());
+        dom.addAgentForm.addEventListener('submit', (e) => {
+            e.preventDefault();
+            this.handleAddAgent();
+        });
+        dom.agentList.addEventListener('click', (e) => {
+            const button = e.target.closest('[data-agent]');
+            if (button) this.handleRemoveAgent(button.dataset.agent);
+        });
+        dom.myTicketsBtn.addEventListener('click', () => this.toggleMyTickets());
+        dom.ticketSearchInput.addEventListener('input', (e) => {
+            this.searchText = e.target.value;
+            this.renderTicketList();
+        });
+        dom.submitForwardBtn.addEventListener('click', () => this.submitForward());
+        dom.addContactForm.addEventListener('submit', (e) => {
+            e.preventDefault();
+            this.handleAddContact();
+        });
+        dom.contactList.addEventListener('click', (e) => {
+            const button = e.target.closest('[data-email]');
+            if (button) {
+                contacts.removeContact(button.dataset.email);
+                ticketService.renderContacts(dom.forwardRecipientSelect.value);
+            }
+        });
+        dom.viewModalBody.addEventListener('submit', (e) => {
+            if (!e.target.matches('.thread-composer')) return;
+            e.preventDefault();
+            this.postReply(e.target);
+        });
+        dom.submitAssignBtn.addEventListener('click', () => this.saveAssignment(dom.assigneeSelect.value || null));
+        dom.assignToMeBtn.addEventListener('click', () => {
+            const me = agents.getCurrentAgent();
+            if (me) this.saveAssignment(me);
+            else showToast('Choose who you are in the Agent menu in the header first', true);
+        });
+
+        dom.ticketsTableBody.addEventListener('change', (e) => {
+            if (!e.target.matches('.row-select')) return;
+            if (e.target.checked) this.selectedTicketIds.add(e.target.dataset.ticketId);
+            else this.selectedTicketIds.delete(e.target.dataset.ticketId);
+            this.updateSelectionUI();
+        });
+        dom.selectAllTickets.addEventListener('change', (e) => {
+            this.selectedTicketIds = new Set(e.target.checked ? this.visibleTickets.map(ticket => ticket.id) : []);
+            this.updateSelectionUI();
+        });
+        dom.bulkStatusSelect.addEventListener('change', (e) => {
+            const status = e.target.value;
+            e.target.value = '';
+            if (status) this.bulkChangeStatus(status);
+        });
+        dom.bulkAssignBtn.addEventListener('click', () => this.openBulkAssign());
+        dom.bulkTagForm.addEventListener('submit', (e) => {
+            e.preventDefault();
+            this.bulkTag(dom.bulkTagInput.value, e.submitter?.value === 'remove');
+        });
+        dom.bulkExportBtn.addEventListener('click', () => this.openExportModal(this.getSelectedTickets(), 'selected'));
+        dom.exportBtn.addEventListener('click', () => this.openExportModal(this.visibleTickets, 'listed'));
+        dom.submitExportBtn.addEventListener('click', () => this.submitExport());
+        dom.exportSelectAll.addEventListener('change', (e) => {
+            dom.exportColumnList.querySelectorAll('[name=exportColumn]').forEach(cb => cb.checked = e.target.checked);
+        });
+        dom.exportColumnList.addEventListener('change', () => {
+            const boxes = [...dom.exportColumnList.querySelectorAll('[name=exportColumn]')];
+            dom.exportSelectAll.checked = boxes.every(cb => cb.checked);
+            validation.clearFieldError('exportColumnList');
+        });
+        dom.bulkDeleteBtn.addEventListener('click', () => this.confirmBulkDelete());
+        dom.bulkClearBtn.addEventListener('click', () => this.clearSelection());
+
+        dom.transferBtn.addEventListener('click', () => this.openTransferModal());
+        dom.submitTransferBtn.addEventListener('click', () => this.applyTransfer());
+        dom.transferSelectAll.addEventListener('change', (e) => {
+            dom.transferTicketList.querySelectorAll('[name=transferTicket]').forEach(cb => cb.checked = e.target.checked);
+        });
+        dom.transferTicketList.addEventListener('change', () => {
+            const boxes = [...dom.transferTicketList.querySelectorAll('[name=transferTicket]')];
+            dom.transferSelectAll.checked = boxes.length > 0 && boxes.every(cb => cb.checked);
+        });
     }
 
     setupFileInputListeners(inputId, onFileLoad) {
@@ -136,78 +393,713 @@ export class App {
         });
     }
 
+    async handleUnlock() {
+        if (!validation.validateForm('unlockForm')) return;
+        const submitBtn = dom.unlockForm.querySelector('[type=submit]');
+        submitBtn.disabled = true;
+        try {
+            if (await cryptoService.unlock(dom.unlockForm.querySelector('[name=unlockPassphrase]').value)) {
+                lockScreen.hideLockScreen();
+                await this.upgradeLegacyData();
+                this.loadViews();
+                await this.loadTickets();
+                if (this.currentScreen === 'trash') await this.loadTrash();
+            } else {
+                validation.showFieldError('unlockPassphrase', 'Incorrect passphrase');
+            }
+        } finally {
+            submitBtn.disabled = false;
+        }
+    }
+
+    async handleSetupPassphrase() {
+        if (!validation.validateForm('setupPassphraseForm')) return;
+        const submitBtn = dom.setupPassphraseForm.querySelector('[type=submit]');
+        submitBtn.disabled = true;
+        try {
+            if (await this.otherTabsAreOpen()) return;
+            const passphrase = dom.setupPassphraseForm.querySelector('[name=setupPassphrase]').value;
+            await cryptoService.setupPassphrase(passphrase, recrypt => this.reencryptStores(recrypt));
+            lockScreen.hideLockScreen();
+            showToast('Passphrase set. Your tickets are now encrypted with it.');
+            this.loadViews();
+            await this.loadTickets();
+            if (this.currentScreen === 'trash') await this.loadTrash();
+        } catch (e) {
+            console.error('Failed to set up the passphrase:', e);
+            showToast('Could not set the passphrase. Existing data could not be re-encrypted.', true);
+        } finally {
+            submitBtn.disabled = false;
+        }
+    }
+
+    async handleChangePassphrase() {
+        if (!validation.validateForm('changePassphraseForm')) return;
+        const form = dom.changePassphraseForm;
+        dom.submitChangePassphraseBtn.disabled = true;
+        try {
+            if (await this.otherTabsAreOpen()) return;
+            const changed = await cryptoService.changePassphrase(
+                form.querySelector('[name=currentPassphrase]').value,
+                form.querySelector('[name=newPassphrase]').value,
+                recrypt => this.reencryptStores(recrypt),
+            );
+            if (!changed) {
+                validation.showFieldError('currentPassphrase', 'Incorrect passphrase');
+                return;
+            }
+            modal.hideModal('changePassphraseModal');
+            validation.resetForm('changePassphraseForm');
+            showToast('Passphrase changed successfully');
+        } catch (e) {
+            console.error('Failed to change the passphrase:', e);
+            showToast('Could not re-encrypt the stored tickets. The passphrase was not changed.', true);
+        } finally {
+            dom.submitChangePassphraseBtn.disabled = false;
+        }
+    }
+
+    // Legacy data stays readable, so a failed upgrade is only logged; it is tried again on the next unlock.
+    async upgradeLegacyData() {
+        try {
+            await cryptoService.upgradeLegacyData(recrypt => this.reencryptStores(recrypt));
+        } catch (e) {
+            console.error('Failed to upgrade data in the legacy encryption format:', e);
+        }
+    }
+
+    // Another tab's Session storage can only be re-encrypted by that tab, so the passphrase is only set or changed
+    // while this is the only open tab; otherwise that tab's tickets would become unreadable.
+    async otherTabsAreOpen() {
+        const otherTabs = await countOtherTabs();
+        if (otherTabs > 0) {
+            showToast(`Tatua is open in ${otherTabs} other tab${otherTabs === 1 ? '' : 's'}. Close ${otherTabs === 1 ? 'it' : 'them'} before changing the passphrase.`, true);
+        }
+        return otherTabs > 0;
+    }
+
+    // Every store is converted in memory before any of them is written, so a record that cannot be converted leaves
+    // all data (and the keyring, which the caller writes last) untouched. Each store writes all or nothing, and a
+    // failed write rolls back the stores already written.
+    async reencryptStores(recrypt) {
+        const pending = [];
+        for (const strategy of Object.values(this.storageStrategies)) {
+            if (strategy.prepareReencryption) pending.push(await strategy.prepareReencryption(recrypt));
+        }
+        const written = [];
+        try {
+            for (const store of pending) {
+                await store.commit();
+                written.push(store);
+            }
+        } catch (e) {
+            for (const store of written.reverse()) {
+                await store.rollback().catch(err => console.error('Failed to roll back a re-encrypted store:', err));
+            }
+            throw e;
+        }
+    }
+
+    lockApp() {
+        cryptoService.lock();
+        document.querySelectorAll('.modal.is-active').forEach(el => modal.hideModal(el.id));
+        ticketService.renderTickets([]);
+        // Decrypted ticket text must not outlive the key, so the loaded tickets and the search index are dropped too.
+        this.loadedTickets = [];
+        this.searchIndex.clear();
+        this.savedViews = [];
+        this.updateViewTabs();
+        lockScreen.showLockScreen(false);
+    }
+
+    // The list screens load their tickets when shown; nothing is loaded while the app is locked.
+    async showScreen(name, { updateURL = true } = {}) {
+        screen.switchScreen(name);
+        this.currentScreen = name;
+        if (updateURL) this.updateURL();
+        if (!cryptoService.isUnlocked()) return;
+        if (name === 'ticketsList') await this.loadTickets();
+        else if (name === 'trash') await this.loadTrash();
+    }
+
     switchStorage(newType) {
         if (this.currentStorage === newType) return;
         this.currentStorage = newType;
-        this.updateURLStorage(newType);
+        this.updateURL();
+        this.loadViews();
         this.loadTickets();
         showToast(`Switched to ${newType} storage`);
         this.updateUI();
     }
 
-    handleFormSubmit() {
-        if (validation.validateForm('ticketForm')) {
+    get storage() {
+        return this.storageStrategies[this.currentStorage];
+    }
+
+    async handleFormSubmit() {
+        if (!validation.validateForm('ticketForm')) return;
+        const submitBtn = dom.ticketForm.querySelector('[type=submit]');
+        submitBtn.disabled = true;
+        try {
             const formData = new FormData(dom.ticketForm);
             const ticket = ticketService.createTicketFromForm(formData, this.currentAttachmentData);
-            this.storageStrategies[this.currentStorage].saveTicket(ticket);
-            this.loadTickets();
+            await this.storage.saveTicket(ticket);
             validation.resetForm('ticketForm');
             this.currentAttachmentData = null;
             showToast('Ticket submitted successfully!');
-            screen.switchScreen('ticketsList');
+            await this.showScreen('ticketsList');
+        } catch (e) {
+            console.error('Failed to save ticket:', e);
+            showToast('Could not save the ticket. Please try again.', true);
+        } finally {
+            submitBtn.disabled = false;
         }
     }
 
-    loadTickets() {
-        let tickets = this.storageStrategies[this.currentStorage].getTickets();
-        const processedTickets = ticketService.processTickets(tickets, this.currentFilters, this.currentSorters);
-        ticketService.renderTickets(processedTickets);
+    // Resolves to true once the list is rendered; a newer call supersedes any load still in flight.
+    async loadTickets() {
+        const requestId = ++this.loadRequestId;
+        ticketService.setTicketsLoading(true);
+        try {
+            const tickets = await this.storage.getTickets();
+            if (requestId !== this.loadRequestId) return false;
+            this.purgeExpiredTickets(tickets);
+            this.loadedTickets = tickets.filter(ticket => !trash.isTrashed(ticket));
+            this.searchIndex.sync(this.loadedTickets);
+            this.renderTicketList();
+            return true;
+        } catch (e) {
+            if (requestId !== this.loadRequestId) return false;
+            this.loadedTickets = [];
+            this.searchIndex.clear();
+            console.error('Failed to load tickets:', e);
+            ticketService.renderTicketsError(e instanceof SchemaVersionError || e instanceof cryptoService.DecryptionError
+                ? e.message
+                : `Could not load tickets from ${this.currentStorage} storage.`);
+            showToast('Failed to load tickets', true);
+            return false;
+        } finally {
+            if (requestId === this.loadRequestId) ticketService.setTicketsLoading(false);
+        }
+    }
+
+    // Applies My Tickets, the filters, the sort order and the search to the loaded tickets. Typing in the search box
+    // only re-runs this, so results update without reading the storage again.
+    renderTicketList() {
+        let tickets = this.loadedTickets;
+        if (this.myTicketsOnly) tickets = tickets.filter(ticket => ticket.assignee === agents.getCurrentAgent());
+        let processedTickets = ticketService.processTickets(tickets, this.currentFilters, this.currentSorters);
+        // The most relevant results come first; the sort order only breaks ties.
+        const relevance = this.searchIndex.search(this.searchText);
+        if (relevance) {
+            processedTickets = processedTickets
+                .filter(ticket => relevance.has(ticket.id))
+                .sort((a, b) => relevance.get(b.id) - relevance.get(a.id));
+        }
+        this.visibleTickets = processedTickets;
+        // Tickets hidden by a filter or deleted elsewhere drop out of the selection, so bulk actions only touch visible rows.
+        const visibleIds = new Set(processedTickets.map(ticket => ticket.id));
+        this.selectedTicketIds = new Set([...this.selectedTicketIds].filter(id => visibleIds.has(id)));
+        ticketService.renderTickets(processedTickets, this.selectedTicketIds, getSearchTerms(this.searchText));
+        this.updateViewTabs();
+    }
+
+    // Called by strategies that can observe writes made elsewhere, e.g. LocalStorage in another tab.
+    handleExternalChanges(storageType, changes) {
+        if (storageType !== this.currentStorage || !cryptoService.isUnlocked()) return;
+        this.loadTickets();
+        if (dom.trashScreen.classList.contains('is-active')) this.loadTrash();
+        if (changes.length === 1) {
+            const { type, ticket } = changes[0];
+            showToast(`Ticket ${ticket.id} (${ticket.fullName}) was ${type} in another tab`);
+        } else {
+            showToast(`${changes.length} tickets were changed in another tab`);
+        }
+    }
+
+    async findTicket(ticketId) {
+        try {
+            const ticket = await this.storage.getTicket(ticketId);
+            if (!ticket) showToast('Ticket not found', true);
+            return ticket;
+        } catch (e) {
+            console.error('Failed to read ticket:', e);
+            showToast('Could not read the ticket', true);
+            return null;
+        }
     }
     
-    viewTicket(ticketId) {
-        const ticket = this.storageStrategies[this.currentStorage].getTicket(ticketId);
+    async viewTicket(ticketId) {
+        const ticket = await this.findTicket(ticketId);
         if (!ticket) return;
         ticketService.populateViewModal(ticket);
         dom.downloadBtn.onclick = () => ticketService.downloadTicketDetails(ticket);
+        dom.forwardBtn.onclick = () => this.forwardTicket(ticket.id);
         modal.showModal('viewTicketModal');
+        this.loadActivity(ticket.id);
+    }
+
+    async loadActivity(ticketId) {
+        try {
+            ticketService.renderActivity(ticketId, await this.storage.getAuditEntries(ticketId));
+        } catch (e) {
+            console.error('Failed to load ticket activity:', e);
+            ticketService.renderActivity(ticketId, [], e);
+        }
     }
     
-    editTicket(ticketId) {
-        const ticket = this.storageStrategies[this.currentStorage].getTicket(ticketId);
+    async editTicket(ticketId) {
+        const ticket = await this.findTicket(ticketId);
         if (!ticket) return;
-        this.editingTicketId = ticketId;
+        this.editingTicket = ticket;
         this.currentEditAttachmentData = null;
         ticketService.populateEditModal(ticket);
         modal.showModal('editTicketModal');
     }
     
-    saveEditedTicket() {
-        if (!this.editingTicketId) return;
-        if (validation.validateForm('editTicketForm')) {
-            const originalTicket = this.storageStrategies[this.currentStorage].getTicket(this.editingTicketId);
-            const updatedData = ticketService.getEditFormData(originalTicket, this.currentEditAttachmentData);
-            this.storageStrategies[this.currentStorage].updateTicket(this.editingTicketId, updatedData);
-            
+    async saveEditedTicket() {
+        if (!this.editingTicket) return;
+        if (!validation.validateForm('editTicketForm')) return;
+        const updatedData = ticketService.getEditFormData(this.editingTicket, this.currentEditAttachmentData);
+        dom.saveChangesBtn.disabled = true;
+        await this.persistTicketEdit(updatedData, this.editingTicket.version);
+        dom.saveChangesBtn.disabled = false;
+    }
+
+    // Writes the edit only if the stored ticket is still at `expectedVersion`; otherwise asks the user how to resolve it.
+    async persistTicketEdit(updatedData, expectedVersion) {
+        try {
+            // The thread is rebuilt from the version being written over, so replies added since the form opened survive.
+            const messages = thread.syncOriginalMessage(this.editingTicket, updatedData.message);
+            await this.storage.updateTicket(this.editingTicket.id, { ...updatedData, messages }, { expectedVersion });
+            modal.hideModal('conflictModal');
             modal.hideModal('editTicketModal');
-            this.loadTickets();
             showToast('Ticket updated successfully!');
-            this.editingTicketId = null;
+            this.editingTicket = null;
+            this.pendingConflict = null;
             this.currentEditAttachmentData = null;
+            await this.loadTickets();
+        } catch (e) {
+            if (e instanceof storage.ConflictError) {
+                this.openConflictModal(updatedData, e.currentTicket);
+                return;
+            }
+            console.error('Failed to update ticket:', e);
+            showToast('Could not update the ticket. Please try again.', true);
         }
     }
 
-    confirmDelete(ticketId) {
+    openConflictModal(myChanges, currentTicket) {
+        if (!currentTicket) {
+            modal.hideModal('conflictModal');
+            modal.hideModal('editTicketModal');
+            this.editingTicket = null;
+            showToast('This ticket was deleted by someone else while you were editing it.', true);
+            this.loadTickets();
+            return;
+        }
+        this.pendingConflict = { myChanges, currentTicket };
+        ticketService.renderConflictDetails(this.editingTicket, myChanges, currentTicket);
+        modal.showModal('conflictModal');
+    }
+
+    async resolveConflict(resolution) {
+        if (!this.pendingConflict) return;
+        const { myChanges, currentTicket } = this.pendingConflict;
+        if (resolution === 'discard') {
+            modal.hideModal('conflictModal');
+            this.pendingConflict = null;
+            this.editTicket(currentTicket.id);
+            showToast('Loaded the latest version of the ticket');
+            return;
+        }
+        const updatedData = resolution === 'merge'
+            ? ticketService.mergeTicketEdits(this.editingTicket, myChanges, currentTicket)
+            : myChanges;
+        // Later edits are compared against what the other party saved, not the copy this form was opened with.
+        this.editingTicket = currentTicket;
+        await this.persistTicketEdit(updatedData, currentTicket.version);
+    }
+
+    async changeStatus(ticketId, newStatus) {
+        const ticket = await this.findTicket(ticketId);
+        if (!ticket) return;
+        try {
+            workflow.assertTransition(ticket.status, newStatus);
+        } catch (e) {
+            showToast(e.message, true);
+            return;
+        }
+        const changes = { status: newStatus, ...getSlaUpdatesForStatus(ticket, newStatus) };
+        await this.applyTicketChanges(ticket, changes, `Ticket ${ticketId} moved to ${newStatus}`, 'Could not change the ticket status');
+    }
+
+    // Saves a single action taken on a ticket (not a full edit), refusing it if the ticket changed in the meantime.
+    async applyTicketChanges(ticket, changes, successMessage, failureMessage) {
+        try {
+            const updated = await this.storage.updateTicket(ticket.id, changes, { expectedVersion: ticket.version });
+            showToast(successMessage);
+            this.refreshViewModal(updated);
+            await this.loadTickets();
+            return true;
+        } catch (e) {
+            if (e instanceof storage.ConflictError) {
+                showToast('This ticket was changed by someone else. Review it and try again.', true);
+                this.refreshViewModal(e.currentTicket);
+                await this.loadTickets();
+            } else {
+                console.error(failureMessage, e);
+                showToast(failureMessage, true);
+            }
+            return false;
+        }
+    }
+
+    async forwardTicket(ticketId) {
+        const ticket = await this.findTicket(ticketId);
+        if (!ticket) return;
+        this.forwardingTicket = ticket;
+        dom.forwardModalTitle.textContent = `Forward ${ticket.id}`;
+        dom.forwardNoteInput.value = '';
+        validation.resetForm('addContactForm');
+        validation.clearFieldError('forwardRecipient');
+        ticketService.renderContacts();
+        // Without saved contacts there is nothing to pick, so start with the contact form open.
+        dom.addContactForm.closest('details').open = contacts.getContacts().length === 0;
+        modal.showModal('forwardModal');
+    }
+
+    handleAddContact() {
+        if (!validation.validateForm('addContactForm')) return;
+        const name = dom.addContactForm.querySelector('[name=contactName]').value;
+        const email = dom.addContactForm.querySelector('[name=contactEmail]').value;
+        if (!contacts.addContact(name, email)) {
+            validation.showFieldError('contactEmail', 'This contact is already saved');
+            return;
+        }
+        validation.resetForm('addContactForm');
+        validation.clearFieldError('forwardRecipient');
+        ticketService.renderContacts(email.trim());
+    }
+
+    submitForward() {
+        const ticket = this.forwardingTicket;
+        if (!ticket) return;
+        const to = contacts.getContacts().find(c => c.email === dom.forwardRecipientSelect.value);
+        if (!to) {
+            validation.showFieldError('forwardRecipient', 'Add a contact to forward the ticket to');
+            return;
+        }
+        const options = { to, ticket, details: ticketService.serializeTicketDetails(ticket), note: dom.forwardNoteInput.value };
+        if (document.querySelector('[name=forwardFormat]:checked').value === 'eml') {
+            ticketService.downloadBlob(new Blob([buildEml(options)], { type: 'message/rfc822' }), `ticket_${ticket.id}.eml`);
+            showToast(`Saved ${ticket.id} as an email to ${to.name}. Open the file to send it.`);
+        } else {
+            window.location.href = buildMailto(options);
+        }
+        modal.hideModal('forwardModal');
+        this.forwardingTicket = null;
+    }
+
+    async assignTicket(ticketId) {
+        const ticket = await this.findTicket(ticketId);
+        if (!ticket) return;
+        this.assigningTicket = ticket;
+        dom.assignModalTitle.textContent = `${ticket.assignee ? 'Reassign' : 'Assign'} ${ticket.id}`;
+        ticketService.renderAgentOptions(dom.assigneeSelect, ticket.assignee, 'Unassigned');
+        modal.showModal('assignModal');
+    }
+
+    async saveAssignment(assignee) {
+        if (this.assigningSelection) {
+            modal.hideModal('assignModal');
+            this.assigningSelection = false;
+            await this.bulkAssign(assignee);
+            return;
+        }
+        const ticket = this.assigningTicket;
+        if (!ticket) return;
+        modal.hideModal('assignModal');
+        this.assigningTicket = null;
+        if ((ticket.assignee || null) === assignee) return;
+        const message = assignee ? `Ticket ${ticket.id} assigned to ${assignee}` : `Ticket ${ticket.id} unassigned`;
+        await this.applyTicketChanges(ticket, { assignee }, message, 'Could not assign the ticket');
+    }
+
+    getSelectedTickets() {
+        return this.visibleTickets.filter(ticket => this.selectedTicketIds.has(ticket.id));
+    }
+
+    updateSelectionUI() {
+        ticketService.renderSelection(this.selectedTicketIds, this.visibleTickets.length);
+    }
+
+    clearSelection() {
+        this.selectedTicketIds.clear();
+        this.updateSelectionUI();
+    }
+
+    /**
+     * Applies a change to every selected ticket, one at a time, and reports the outcome in a single toast.
+     * @param {Function} buildChanges Returns the changes for a ticket, or null to leave it as it is.
+     * @param {string} verb Past tense for the toast, e.g. "assigned".
+     * @param {Function} [toastAction] Builds a toast action (e.g. Undo) from the ids that were updated.
+     * @returns {Promise<string[]>} The ids of the tickets that were updated.
+     */
+    async applyBulkChanges(buildChanges, verb, toastAction = null) {
+        const updatedIds = [];
+        let skipped = 0;
+        let failed = 0;
+        for (const ticket of this.getSelectedTickets()) {
+            const changes = buildChanges(ticket);
+            if (!changes) {
+                skipped++;
+                continue;
+            }
+            try {
+                await this.storage.updateTicket(ticket.id, changes, { expectedVersion: ticket.version });
+                updatedIds.push(ticket.id);
+            } catch (e) {
+                if (!(e instanceof storage.ConflictError)) console.error(`Failed to update ticket ${ticket.id}:`, e);
+                failed++;
+            }
+        }
+        const parts = [`${updatedIds.length} ticket(s) ${verb}`];
+        if (skipped) parts.push(`${skipped} skipped`);
+        if (failed) parts.push(`${failed} failed or changed elsewhere`);
+        showToast(parts.join(', '), failed > 0, updatedIds.length ? toastAction?.(updatedIds) : null);
+        await this.loadTickets();
+        return updatedIds;
+    }
+
+    // Tickets whose workflow does not allow the move (or that already have the status) are skipped.
+    async bulkChangeStatus(status) {
+        await this.applyBulkChanges(ticket => workflow.canTransition(ticket.status, status)
+            ? { status, ...getSlaUpdatesForStatus(ticket, status) }
+            : null, `moved to ${status}`);
+    }
+
+    openBulkAssign() {
+        this.assigningTicket = null;
+        this.assigningSelection = true;
+        dom.assignModalTitle.textContent = `Assign ${this.selectedTicketIds.size} ticket(s)`;
+        ticketService.renderAgentOptions(dom.assigneeSelect, null, 'Unassigned');
+        modal.showModal('assignModal');
+    }
+
+    async bulkAssign(assignee) {
+        await this.applyBulkChanges(ticket => (ticket.assignee || null) === assignee ? null : { assignee },
+            assignee ? `assigned to ${assignee}` : 'unassigned');
+    }
+
+    async bulkTag(tag, remove) {
+        const normalized = tags.normalizeTag(tag);
+        if (!normalized) {
+            showToast('Enter a tag first', true);
+            return;
+        }
+        const updateTags = remove ? tags.removeTag : tags.addTag;
+        await this.applyBulkChanges(ticket => {
+            const updated = updateTags(ticket.tags, normalized);
+            return updated === ticket.tags ? null : { tags: updated };
+        }, remove ? `untagged "${normalized}"` : `tagged "${normalized}"`);
+        dom.bulkTagInput.value = '';
+    }
+
+    confirmBulkDelete() {
+        const count = this.selectedTicketIds.size;
+        this.openConfirmModal('Confirm Deletion', `Move ${count} selected ticket(s) to the Trash? They can be restored from there until they are purged.`,
+            () => this.bulkDelete());
+    }
+
+    async bulkDelete() {
+        const deletedAt = new Date().toISOString();
+        await this.applyBulkChanges(() => ({ deletedAt }), 'moved to the Trash',
+            ids => ({ label: 'Undo', onClick: () => this.restoreTickets(ids) }));
+    }
+
+    toggleMyTickets() {
+        if (!this.myTicketsOnly && !agents.getCurrentAgent()) {
+            showToast('Choose who you are in the Agent menu in the header first', true);
+            return;
+        }
+        this.myTicketsOnly = !this.myTicketsOnly;
+        this.updateAgentUI();
+        this.loadTickets();
+    }
+
+    openAgentsModal() {
+        ticketService.renderAgentList();
+        dom.agentNameInput.value = '';
+        validation.clearFieldError('agentName');
+        modal.showModal('agentsModal');
+        dom.agentNameInput.focus();
+    }
+
+    handleAddAgent() {
+        const name = dom.agentNameInput.value;
+        if (!name.trim()) {
+            validation.showFieldError('agentName', 'Enter the agent\'s name');
+        } else if (!agents.addAgent(name)) {
+            validation.showFieldError('agentName', 'An agent with this name already exists');
+        } else {
+            validation.clearFieldError('agentName');
+            dom.agentNameInput.value = '';
+            // The first agent added in a browser is most likely the person using it.
+            if (agents.getAgents().length === 1) agents.setCurrentAgent(agents.getAgents()[0]);
+            ticketService.renderAgentList();
+            this.updateAgentUI();
+        }
+        dom.agentNameInput.focus();
+    }
+
+    handleRemoveAgent(name) {
+        agents.removeAgent(name);
+        ticketService.renderAgentList();
+        this.updateAgentUI();
+        if (this.myTicketsOnly && !agents.getCurrentAgent()) this.toggleMyTickets();
+    }
+
+    // Re-renders the view modal if it is showing this ticket, e.g. after an action taken from inside it.
+    // A reply being typed in the composer is carried over.
+    refreshViewModal(ticket) {
+        if (!ticket || !dom.viewTicketModal.classList.contains('is-active')) return;
+        const composer = dom.viewModalBody.querySelector('.thread-composer');
+        const draft = composer?.dataset.ticketId === ticket.id
+            ? { body: composer.querySelector('[name=replyBody]').value, type: composer.querySelector('[name=replyType]:checked').value }
+            : null;
+        ticketService.populateViewModal(ticket);
+        dom.downloadBtn.onclick = () => ticketService.downloadTicketDetails(ticket);
+        dom.forwardBtn.onclick = () => this.forwardTicket(ticket.id);
+        this.loadActivity(ticket.id);
+        if (draft) {
+            const newComposer = dom.viewModalBody.querySelector('.thread-composer');
+            newComposer.querySelector('[name=replyBody]').value = draft.body;
+            newComposer.querySelector(`[name=replyType][value="${draft.type}"]`).checked = true;
+        }
+    }
+
+    async replyToTicket(ticketId) {
+        await this.viewTicket(ticketId);
+        dom.viewModalBody.querySelector('.thread-composer [name=replyBody]')?.focus();
+    }
+
+    async postReply(composer) {
+        const body = composer.querySelector('[name=replyBody]').value.trim();
+        const type = composer.querySelector('[name=replyType]:checked').value;
+        if (!body) {
+            showToast('Write a message before sending', true);
+            return;
+        }
+        const ticket = await this.findTicket(composer.dataset.ticketId);
+        if (!ticket) return;
+        const message = thread.createMessage(type, body, agents.getCurrentAgent() || 'Agent');
+        const changes = { messages: [...thread.getThread(ticket), message] };
+        if (thread.isCustomerFacing(message) && !ticket.firstResponseAt) changes.firstResponseAt = message.createdAt;
+        const successMessage = type === 'note' ? 'Internal note added' : `Reply added to ticket ${ticket.id}`;
+        if (await this.applyTicketChanges(ticket, changes, successMessage, 'Could not add the message')) {
+            dom.viewModalBody.querySelector('.thread-composer [name=replyBody]').value = '';
+        }
+    }
+
+    openConfirmModal(title, message, onConfirm) {
+        dom.confirmTitle.textContent = title;
+        dom.confirmMessage.textContent = message;
         modal.showModal('confirmModal');
-        dom.confirmOkBtn.onclick = () => {
-            this.deleteTicket(ticketId);
+        dom.confirmOkBtn.onclick = async () => {
+            dom.confirmOkBtn.disabled = true;
+            await onConfirm();
+            dom.confirmOkBtn.disabled = false;
             modal.hideModal('confirmModal');
         };
     }
 
-    deleteTicket(ticketId) {
-        this.storageStrategies[this.currentStorage].deleteTicket(ticketId);
-        this.loadTickets();
-        showToast('Ticket deleted successfully');
+    confirmDelete(ticketId) {
+        this.openConfirmModal('Confirm Deletion', 'Move this ticket to the Trash? It can be restored from there until it is purged.',
+            () => this.deleteTicket(ticketId));
+    }
+
+    // Deleting only marks the ticket; it stays restorable from the toast or the Trash screen until it is purged.
+    async deleteTicket(ticketId) {
+        try {
+            await this.storage.updateTicket(ticketId, { deletedAt: new Date().toISOString() });
+            showToast('Ticket moved to the Trash', false, { label: 'Undo', onClick: () => this.restoreTicket(ticketId) });
+            await this.loadTickets();
+        } catch (e) {
+            console.error('Failed to delete ticket:', e);
+            showToast('Could not delete the ticket', true);
+        }
+    }
+
+    restoreTicket(ticketId) {
+        return this.restoreTickets([ticketId]);
+    }
+
+    async restoreTickets(ticketIds) {
+        try {
+            for (const ticketId of ticketIds) await this.storage.updateTicket(ticketId, { deletedAt: null });
+            showToast(ticketIds.length === 1 ? 'Ticket restored' : `${ticketIds.length} tickets restored`);
+            await this.loadTickets();
+            if (dom.trashScreen.classList.contains('is-active')) await this.loadTrash();
+        } catch (e) {
+            console.error('Failed to restore ticket:', e);
+            showToast('Could not restore the ticket', true);
+        }
+    }
+
+    async loadTrash() {
+        const { trashRetentionDays } = getSettings();
+        dom.trashRetentionSelect.value = trashRetentionDays;
+        try {
+            const tickets = await this.storage.getTickets();
+            const trashed = tickets
+                .filter(ticket => trash.isTrashed(ticket) && !trash.isPurgeDue(ticket, trashRetentionDays))
+                .sort((a, b) => b.deletedAt.localeCompare(a.deletedAt));
+            ticketService.renderTrash(trashed, trashRetentionDays);
+            this.purgeExpiredTickets(tickets);
+        } catch (e) {
+            console.error('Failed to load the trash:', e);
+            showToast('Failed to load the trash', true);
+        }
+    }
+
+    confirmPurge(ticketId) {
+        this.openConfirmModal('Delete Permanently', `Permanently delete ticket ${ticketId}? This cannot be undone.`,
+            () => this.purgeTickets([ticketId]));
+    }
+
+    async confirmEmptyTrash() {
+        const tickets = await this.storage.getTickets().catch(() => []);
+        const ids = tickets.filter(trash.isTrashed).map(ticket => ticket.id);
+        if (ids.length === 0) return;
+        this.openConfirmModal('Empty Trash', `Permanently delete ${ids.length} ticket(s) in the Trash? This cannot be undone.`,
+            () => this.purgeTickets(ids));
+    }
+
+    async purgeTickets(ticketIds) {
+        try {
+            for (const ticketId of ticketIds) await this.storage.deleteTicket(ticketId);
+            showToast(ticketIds.length === 1 ? 'Ticket deleted permanently' : `${ticketIds.length} tickets deleted permanently`);
+        } catch (e) {
+            console.error('Failed to purge tickets:', e);
+            showToast('Could not delete the tickets', true);
+        }
+        await this.loadTrash();
+    }
+
+    // Runs in the background on every load; a failure is retried on the next one.
+    async purgeExpiredTickets(tickets) {
+        const { trashRetentionDays } = getSettings();
+        const expired = tickets.filter(ticket => trash.isPurgeDue(ticket, trashRetentionDays));
+        if (expired.length === 0 || this.purgingExpired) return;
+        this.purgingExpired = true;
+        try {
+            for (const ticket of expired) await this.storage.deleteTicket(ticket.id);
+        } catch (e) {
+            console.error('Failed to purge expired tickets:', e);
+        } finally {
+            this.purgingExpired = false;
+        }
     }
 
     openSortModal() {
@@ -216,7 +1108,7 @@ export class App {
     }
     
     resetSorters() {
-        this.currentSorters = [{ column: 'dateCreated', order: 'desc' }];
+        this.currentSorters = DEFAULT_SORTERS;
         ticketService.renderSorterRows(this.currentSorters);
     }
 
@@ -225,6 +1117,7 @@ export class App {
             column: row.querySelector('[name=sortColumn]').value,
             order: row.querySelector('[name=sortOrder]').value
         }));
+        this.updateURL();
         this.loadTickets();
         modal.hideModal('sortModal');
         showToast('Tickets sorted');
@@ -236,24 +1129,334 @@ export class App {
     }
     
     resetFilters() {
-        this.currentFilters = [];
+        this.currentFilters = query.createQueryGroup();
         ticketService.renderFilterRows(this.currentFilters);
     }
 
     applyFilters() {
-        this.currentFilters = Array.from(document.querySelectorAll('#filterRowsContainer .modal-dynamic-row'))
-            .map(row => ({
-                column: row.querySelector('[name=filterColumn]').value,
-                relation: row.querySelector('[name=filterRelation]').value,
-                value: row.querySelector('[name=filterValue]').value
-            }))
-            .filter(filter => filter.value.trim() !== '');
+        this.currentFilters = query.pruneQuery(ticketService.getFilterQuery());
+        this.updateURL();
         this.loadTickets();
         modal.hideModal('filterModal');
-        showToast(this.currentFilters.length > 0 ? 'Filter applied' : 'Filter cleared');
+        showToast(query.countConditions(this.currentFilters) > 0 ? 'Filter applied' : 'Filter cleared');
+    }
+
+    // Views belong to the storage, so they are reloaded whenever it is unlocked, switched or restored.
+    async loadViews() {
+        const strategy = this.storage;
+        try {
+            const savedViews = await strategy.getViews();
+            if (strategy !== this.storage) return;
+            this.savedViews = savedViews;
+        } catch (e) {
+            console.error('Failed to load saved views:', e);
+            if (strategy !== this.storage) return;
+            this.savedViews = [];
+        }
+        this.updateViewTabs();
+    }
+
+    updateViewTabs() {
+        const match = views.findMatchingView(this.savedViews, this.currentFilters, this.currentSorters);
+        const isDefault = query.countConditions(this.currentFilters) === 0 &&
+            JSON.stringify(this.currentSorters) === JSON.stringify(DEFAULT_SORTERS);
+        ticketService.renderViewTabs(this.savedViews, match ? match.id : isDefault ? '' : null);
+    }
+
+    // An empty id is the "All Tickets" tab.
+    applyView(viewId) {
+        const view = this.savedViews.find(v => v.id === viewId);
+        this.currentFilters = view ? view.filters : query.createQueryGroup();
+        this.currentSorters = view ? view.sorters : DEFAULT_SORTERS;
+        this.updateURL();
+        this.loadTickets();
+    }
+
+    openSaveViewModal() {
+        validation.resetForm('saveViewForm');
+        dom.viewNameInput.value = views.findMatchingView(this.savedViews, this.currentFilters, this.currentSorters)?.name || '';
+        modal.showModal('saveViewModal');
+        dom.viewNameInput.focus();
+    }
+
+    async handleSaveView() {
+        const name = dom.viewNameInput.value;
+        if (!name.trim()) {
+            validation.showFieldError('viewName', 'Enter a name for the view');
+            return;
+        }
+        dom.submitSaveViewBtn.disabled = true;
+        try {
+            // Re-read the list first so views saved meanwhile by someone sharing the storage are not dropped.
+            const current = await this.storage.getViews();
+            const replaced = views.findViewByName(current, name);
+            this.savedViews = views.saveView(current, name, this.currentFilters, this.currentSorters);
+            await this.storage.saveViews(this.savedViews);
+            modal.hideModal('saveViewModal');
+            showToast(replaced ? `View "${replaced.name}" updated` : 'View saved');
+        } catch (e) {
+            console.error('Failed to save the view:', e);
+            showToast('Could not save the view. Please try again.', true);
+        } finally {
+            dom.submitSaveViewBtn.disabled = false;
+            this.updateViewTabs();
+        }
+    }
+
+    confirmRemoveView(viewId) {
+        const view = this.savedViews.find(v => v.id === viewId);
+        if (!view) return;
+        this.openConfirmModal('Delete View', `Delete the view "${view.name}"? The tickets it shows are not affected.`, async () => {
+            try {
+                this.savedViews = views.removeView(await this.storage.getViews(), viewId);
+                await this.storage.saveViews(this.savedViews);
+                showToast('View deleted');
+            } catch (e) {
+                console.error('Failed to delete the view:', e);
+                showToast('Could not delete the view. Please try again.', true);
+            }
+            this.updateViewTabs();
+        });
+    }
+
+    // Exports the tickets as they are shown, i.e. with the current filters and sort order applied.
+    openExportModal(tickets, description) {
+        if (tickets.length === 0) {
+            showToast('There are no tickets to export', true);
+            return;
+        }
+        this.exportingTickets = tickets;
+        const { exportFormat, exportColumns, exportAttachments } = getSettings();
+        dom.exportSummary.textContent = `${tickets.length} ${description} ticket(s) will be exported in the order shown.`;
+        document.querySelector(`input[name="exportFormat"][value="${exportFormat}"]`).checked = true;
+        dom.exportAttachmentsSelect.value = exportAttachments;
+        ticketService.renderExportColumns(exportColumns);
+        validation.clearFieldError('exportColumnList');
+        modal.showModal('exportModal');
+    }
+
+    submitExport() {
+        const columns = [...dom.exportColumnList.querySelectorAll('[name=exportColumn]:checked')].map(cb => cb.value);
+        if (columns.length === 0) {
+            validation.showFieldError('exportColumnList', 'Pick at least one column');
+            return;
+        }
+        const format = document.querySelector('input[name="exportFormat"]:checked').value;
+        const attachments = dom.exportAttachmentsSelect.value;
+        updateSettings({ exportFormat: format, exportColumns: columns, exportAttachments: attachments });
+        const baseName = `tickets-${new Date().toISOString().slice(0, 10)}`;
+        buildExport(this.exportingTickets, { format, columns, attachments, baseName })
+            .forEach(({ blob, filename }) => ticketService.downloadBlob(blob, filename));
+        modal.hideModal('exportModal');
+        showToast(`${this.exportingTickets.length} ticket(s) exported`);
+        this.exportingTickets = [];
+    }
+
+    async handleImportFile(file) {
+        this.resetImport();
+        if (!file) return;
+        if (file.size > importService.MAX_IMPORT_FILE_BYTES) {
+            validation.showFieldError('importFile', 'File size cannot exceed 5MB.');
+            return;
+        }
+        try {
+            this.importData = importService.parseImportFile(file.name, await file.text());
+        } catch (e) {
+            validation.showFieldError('importFile', e.message);
+            return;
+        }
+        if (this.importData.rows.length === 0) {
+            validation.showFieldError('importFile', 'The file has no tickets in it.');
+            this.importData = null;
+            return;
+        }
+        dom.importFileName.textContent = file.name;
+        ticketService.renderImportMapping(this.importData.columns, importService.guessMapping(this.importData.columns));
+        this.validateImport();
+    }
+
+    getImportMapping() {
+        return Object.fromEntries([...dom.importMapping.querySelectorAll('select')].map(select => [select.dataset.field, select.value]));
+    }
+
+    validateImport() {
+        if (!this.importData) return;
+        this.importRows = importService.validateImport(this.importData, this.getImportMapping());
+        ticketService.renderImportReport(this.importRows);
+    }
+
+    resetImport() {
+        this.importData = null;
+        this.importRows = [];
+        validation.clearFieldError('importFile');
+        ticketService.resetImport();
+    }
+
+    // Rows with errors are left out; the rest are saved one by one, so a failure part-way keeps what was saved.
+    async submitImport() {
+        const validRows = this.importRows.filter(row => row.errors.length === 0);
+        if (validRows.length === 0) return;
+        dom.importSubmitBtn.disabled = true;
+        let imported = 0;
+        try {
+            for (const row of validRows) {
+                await this.storage.saveTicket(ticketService.createTicket(row.fields));
+                imported++;
+            }
+            showToast(`${imported} ticket(s) imported`);
+            this.resetImport();
+            await this.showScreen('ticketsList');
+        } catch (e) {
+            console.error('Failed to import tickets:', e);
+            showToast(`Import stopped after ${imported} ticket(s): could not save row ${validRows[imported].rowNumber}`, true);
+            // Drop the rows that were saved, so trying again does not import them twice.
+            const saved = new Set(validRows.slice(0, imported));
+            this.importRows = this.importRows.filter(row => !saved.has(row));
+            ticketService.renderImportReport(this.importRows);
+        }
+    }
+
+    openBackupModal() {
+        validation.resetForm('backupForm');
+        validation.resetForm('restoreForm');
+        dom.backupStorageLabel.textContent = this.getStorageLabel(this.currentStorage);
+        this.clearPendingRestore();
+        modal.showModal('backupModal');
+    }
+
+    async handleCreateBackup() {
+        if (!validation.validateForm('backupForm')) return;
+        const submitBtn = dom.backupForm.querySelector('[type=submit]');
+        submitBtn.disabled = true;
+        try {
+            const passphrase = dom.backupForm.querySelector('[name=backupPassphrase]').value;
+            const contents = await backup.createBackup(this.storage, { storageType: this.currentStorage, passphrase });
+            ticketService.downloadBlob(new Blob([contents], { type: 'application/json' }),
+                `tatua-backup-${this.currentStorage}-${new Date().toISOString().slice(0, 10)}.json`);
+            validation.resetForm('backupForm');
+            showToast('Backup downloaded');
+        } catch (e) {
+            console.error('Failed to create the backup:', e);
+            showToast('Could not create the backup', true);
+        } finally {
+            submitBtn.disabled = false;
+        }
+    }
+
+    clearPendingRestore() {
+        this.pendingRestore = null;
+        dom.restoreSummary.hidden = true;
+        dom.submitRestoreBtn.disabled = true;
+    }
+
+    // Decrypts and verifies the file; nothing is written until the verified backup is confirmed with Restore.
+    async handleCheckBackup() {
+        this.clearPendingRestore();
+        const file = dom.restoreFileInput.files[0];
+        const isValid = validation.validateForm('restoreForm');
+        if (!file) validation.showFieldError('restoreFile', 'Choose a backup file');
+        if (!file || !isValid) return;
+        const checkBtn = dom.restoreForm.querySelector('[type=submit]');
+        checkBtn.disabled = true;
+        try {
+            const passphrase = dom.restoreForm.querySelector('[name=restorePassphrase]').value;
+            this.pendingRestore = await backup.readBackup(await file.text(), passphrase);
+            ticketService.renderRestoreSummary(this.pendingRestore, this.getStorageLabel(this.pendingRestore.storageType));
+            dom.submitRestoreBtn.disabled = false;
+        } catch (e) {
+            if (!(e instanceof backup.BackupError)) console.error('Failed to read the backup:', e);
+            validation.showFieldError('restoreFile', e instanceof backup.BackupError ? e.message : 'The backup could not be read.');
+        } finally {
+            checkBtn.disabled = false;
+        }
+    }
+
+    async submitRestore() {
+        if (!this.pendingRestore) return;
+        const mode = dom.restoreForm.querySelector('input[name="restoreMode"]:checked').value;
+        dom.submitRestoreBtn.disabled = true;
+        try {
+            const result = await backup.restoreBackup(this.storage, this.pendingRestore, mode);
+            modal.hideModal('backupModal');
+            const parts = [`${result.added} added`, `${result.updated} updated`, `${result.unchanged} unchanged`];
+            if (result.removed) parts.push(`${result.removed} removed`);
+            showToast(`Backup restored: ${parts.join(', ')}${result.auditRestored ? '' : ' (activity is kept by the server)'}`);
+            this.clearPendingRestore();
+        } catch (e) {
+            console.error('Failed to restore the backup:', e);
+            showToast('The restore did not finish. Check the tickets and restore again.', true);
+            dom.submitRestoreBtn.disabled = false;
+        }
+        this.updateAgentUI();
+        this.loadViews();
+        await this.loadTickets();
+        if (dom.trashScreen.classList.contains('is-active')) await this.loadTrash();
+    }
+
+    getStorageLabel(storageType) {
+        return [...dom.storageTypeSelect.options].find(o => o.value === storageType)?.textContent || storageType;
+    }
+
+    async openTransferModal() {
+        dom.transferSourceLabel.textContent = this.getStorageLabel(this.currentStorage);
+        dom.transferTargetSelect.innerHTML = [...dom.storageTypeSelect.options]
+            .filter(option => option.value !== this.currentStorage)
+            .map(option => `<option value="${option.value}">${option.textContent}</option>`)
+            .join('');
+        try {
+            // Tickets in the Trash stay behind; restore them first to transfer them.
+            const tickets = (await this.storage.getTickets()).filter(ticket => !trash.isTrashed(ticket));
+            ticketService.renderTransferTicketList(tickets);
+            modal.showModal('transferModal');
+        } catch (e) {
+            console.error('Failed to read tickets for transfer:', e);
+            showToast('Could not read tickets from the current storage', true);
+        }
+    }
+
+    async applyTransfer() {
+        const sourceType = this.currentStorage;
+        const targetType = dom.transferTargetSelect.value;
+        const ticketIds = [...dom.transferTicketList.querySelectorAll('[name=transferTicket]:checked')].map(cb => cb.value);
+        if (ticketIds.length === 0) {
+            showToast('Select at least one ticket to transfer', true);
+            return;
+        }
+        const mode = document.querySelector('input[name="transferMode"]:checked').value;
+        dom.submitTransferBtn.disabled = true;
+        try {
+            const result = await transferTickets(this.storage, this.storageStrategies[targetType], {
+                ticketIds,
+                mode,
+                onCollision: dom.transferCollisionSelect.value,
+            });
+            modal.hideModal('transferModal');
+            if (dom.transferSwitchCheckbox.checked) this.switchStorage(targetType);
+            else await this.loadTickets();
+            const verb = mode === 'move' ? 'Moved' : 'Copied';
+            const skipped = result.skipped ? `, ${result.skipped} skipped` : '';
+            const history = result.historyLeftBehind
+                ? `. The activity history of ${result.historyLeftBehind} ticket(s) stays in ${this.getStorageLabel(sourceType)}`
+                : '';
+            showToast(`${verb} ${result.transferred} ticket(s) to ${this.getStorageLabel(targetType)}${skipped}${history}`);
+        } catch (e) {
+            console.error('Ticket transfer failed:', e);
+            showToast('Transfer failed. Some tickets may not have been transferred.', true);
+            await this.loadTickets();
+        } finally {
+            dom.submitTransferBtn.disabled = false;
+        }
     }
 
     updateUI() {
         dom.storageTypeSelect.value = this.currentStorage;
+        ticketService.renderBulkActionOptions();
+        this.updateAgentUI();
+    }
+
+    updateAgentUI() {
+        ticketService.renderAgentOptions(dom.currentAgentSelect, agents.getCurrentAgent(), 'Not set');
+        dom.myTicketsBtn.classList.toggle('is-active', this.myTicketsOnly);
+        dom.myTicketsBtn.setAttribute('aria-pressed', this.myTicketsOnly);
     }
 }
\ No newline at end of file
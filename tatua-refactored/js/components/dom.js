@@ -3,6 +3,15 @@ export const dom = {
     // Forms
     ticketForm: document.getElementById('ticketForm'),
     editTicketForm: document.getElementById('editTicketForm'),
+    unlockForm: document.getElementById('unlockForm'),
+    setupPassphraseForm: document.getElementById('setupPassphraseForm'),
+    changePassphraseForm: document.getElementById('changePassphraseForm'),
+    addAgentForm: document.getElementById('addAgentForm'),
+    saveViewForm: document.getElementById('saveViewForm'),
+    addContactForm: document.getElementById('addContactForm'),
+    bulkTagForm: document.getElementById('bulkTagForm'),
+    backupForm: document.getElementById('backupForm'),
+    restoreForm: document.getElementById('restoreForm'),
 
     // Buttons
     refreshBtn: document.getElementById('refreshBtn'),
@@ -15,24 +24,105 @@ export const dom = {
     resetSorterBtn: document.getElementById('resetSorterBtn'),
     submitSorterBtn: document.getElementById('submitSorterBtn'),
     addFilterBtn: document.getElementById('addFilterBtn'),
+    addFilterGroupBtn: document.getElementById('addFilterGroupBtn'),
     resetFilterBtn: document.getElementById('resetFilterBtn'),
     submitFilterBtn: document.getElementById('submitFilterBtn'),
+    transferBtn: document.getElementById('transferBtn'),
+    lockBtn: document.getElementById('lockBtn'),
+    changePassphraseBtn: document.getElementById('changePassphraseBtn'),
+    submitChangePassphraseBtn: document.getElementById('submitChangePassphraseBtn'),
+    submitSaveViewBtn: document.getElementById('submitSaveViewBtn'),
+    conflictMergeBtn: document.getElementById('conflictMergeBtn'),
+    conflictOverwriteBtn: document.getElementById('conflictOverwriteBtn'),
+    conflictDiscardBtn: document.getElementById('conflictDiscardBtn'),
+    submitTransferBtn: document.getElementById('submitTransferBtn'),
+    myTicketsBtn: document.getElementById('myTicketsBtn'),
+    emptyTrashBtn: document.getElementById('emptyTrashBtn'),
+    manageAgentsBtn: document.getElementById('manageAgentsBtn'),
+    assignToMeBtn: document.getElementById('assignToMeBtn'),
+    submitAssignBtn: document.getElementById('submitAssignBtn'),
+    forwardBtn: document.getElementById('forwardBtn'),
+    submitForwardBtn: document.getElementById('submitForwardBtn'),
+    bulkAssignBtn: document.getElementById('bulkAssignBtn'),
+    bulkExportBtn: document.getElementById('bulkExportBtn'),
+    bulkDeleteBtn: document.getElementById('bulkDeleteBtn'),
+    bulkClearBtn: document.getElementById('bulkClearBtn'),
+    exportBtn: document.getElementById('exportBtn'),
+    saveViewBtn: document.getElementById('saveViewBtn'),
+    importFileBtn: document.getElementById('importFileBtn'),
+    backupBtn: document.getElementById('backupBtn'),
+    restoreFileBtn: document.getElementById('restoreFileBtn'),
+    submitRestoreBtn: document.getElementById('submitRestoreBtn'),
+    importCancelBtn: document.getElementById('importCancelBtn'),
+    importSubmitBtn: document.getElementById('importSubmitBtn'),
+    submitExportBtn: document.getElementById('submitExportBtn'),
 
     // Navigation
     navLinks: document.querySelectorAll('.nav-link'),
     
     // Inputs & Selects
     storageTypeSelect: document.getElementById('storageType'),
+    transferTargetSelect: document.getElementById('transferTarget'),
+    transferCollisionSelect: document.getElementById('transferCollision'),
+    transferSelectAll: document.getElementById('transferSelectAll'),
+    transferSwitchCheckbox: document.getElementById('transferSwitch'),
+    currentAgentSelect: document.getElementById('currentAgent'),
+    trashRetentionSelect: document.getElementById('trashRetention'),
+    assigneeSelect: document.getElementById('assigneeSelect'),
+    agentNameInput: document.getElementById('agentName'),
+    viewNameInput: document.getElementById('viewName'),
+    ticketSearchInput: document.getElementById('ticketSearch'),
+    forwardRecipientSelect: document.getElementById('forwardRecipient'),
+    forwardNoteInput: document.getElementById('forwardNote'),
+    selectAllTickets: document.getElementById('selectAllTickets'),
+    bulkStatusSelect: document.getElementById('bulkStatusSelect'),
+    bulkTagInput: document.getElementById('bulkTagInput'),
+    exportAttachmentsSelect: document.getElementById('exportAttachments'),
+    exportSelectAll: document.getElementById('exportSelectAll'),
+    importFileInput: document.getElementById('importFile'),
+    restoreFileInput: document.getElementById('restoreFile'),
 
     // Table
+    ticketsTableContainer: document.getElementById('ticketsTableContainer'),
     ticketsTable: document.getElementById('ticketsTable'),
     ticketsTableBody: document.getElementById('ticketsTableBody'),
     emptyState: document.getElementById('emptyState'),
+    errorState: document.getElementById('errorState'),
+    errorStateMessage: document.getElementById('errorStateMessage'),
+    trashTable: document.getElementById('trashTable'),
+    trashTableBody: document.getElementById('trashTableBody'),
+    trashEmptyState: document.getElementById('trashEmptyState'),
+    bulkActionBar: document.getElementById('bulkActionBar'),
+    bulkSelectionCount: document.getElementById('bulkSelectionCount'),
+    importReportBody: document.getElementById('importReportBody'),
 
     // Modals & Containers
+    lockScreen: document.getElementById('lockScreen'),
+    viewTicketModal: document.getElementById('viewTicketModal'),
+    trashScreen: document.getElementById('trashScreen'),
+    importFileName: document.getElementById('importFileName'),
+    backupStorageLabel: document.getElementById('backupStorageLabel'),
+    restoreFileName: document.getElementById('restoreFileName'),
+    restoreSummary: document.getElementById('restoreSummary'),
+    importMappingSection: document.getElementById('importMappingSection'),
+    importMapping: document.getElementById('importMapping'),
+    importReportSection: document.getElementById('importReportSection'),
+    importSummary: document.getElementById('importSummary'),
+    confirmTitle: document.getElementById('confirmTitle'),
+    confirmMessage: document.getElementById('confirmMessage'),
     toast: document.getElementById('toast'),
     viewModalTitle: document.getElementById('viewModalTitle'),
     viewModalBody: document.getElementById('viewModalBody'),
     sorterRowsContainer: document.getElementById('sorterRowsContainer'),
     filterRowsContainer: document.getElementById('filterRowsContainer'),
+    conflictDetails: document.getElementById('conflictDetails'),
+    transferSourceLabel: document.getElementById('transferSourceLabel'),
+    transferTicketList: document.getElementById('transferTicketList'),
+    exportSummary: document.getElementById('exportSummary'),
+    exportColumnList: document.getElementById('exportColumnList'),
+    assignModalTitle: document.getElementById('assignModalTitle'),
+    agentList: document.getElementById('agentList'),
+    viewTabs: document.getElementById('viewTabs'),
+    forwardModalTitle: document.getElementById('forwardModalTitle'),
+    contactList: document.getElementById('contactList'),
 };
\ No newline at end of file
@@ -0,0 +1,18 @@
+import { dom } from './dom.js';
+import { resetForm } from './validation.js';
+
+// Shows the set-up form on first run and the unlock form afterwards.
+export function showLockScreen(isFirstRun) {
+    resetForm('unlockForm');
+    resetForm('setupPassphraseForm');
+    dom.unlockForm.hidden = isFirstRun;
+    dom.setupPassphraseForm.hidden = !isFirstRun;
+    dom.lockScreen.classList.add('is-active');
+    (isFirstRun ? dom.setupPassphraseForm : dom.unlockForm).querySelector('input').focus();
+}
+
+export function hideLockScreen() {
+    dom.lockScreen.classList.remove('is-active');
+    resetForm('unlockForm');
+    resetForm('setupPassphraseForm');
+}
@@ -2,15 +2,27 @@ import { dom } from './dom.js';
 
 let toastTimeout;
 
-export function showToast(message, isError = false) {
+// `action` adds a button to the toast, e.g. { label: 'Undo', onClick }; such toasts stay up longer.
+export function showToast(message, isError = false, action = null) {
     clearTimeout(toastTimeout);
     dom.toast.textContent = message;
     dom.toast.className = `toast ${isError ? 'is-error' : ''}`;
+    if (action) {
+        const button = document.createElement('button');
+        button.className = 'toast__action';
+        button.textContent = action.label;
+        button.addEventListener('click', () => {
+            clearTimeout(toastTimeout);
+            dom.toast.classList.remove('is-visible');
+            action.onClick();
+        });
+        dom.toast.appendChild(button);
+    }
     
     // Use a slight delay to ensure the transition is triggered
     setTimeout(() => dom.toast.classList.add('is-visible'), 10);
 
     toastTimeout = setTimeout(() => {
         dom.toast.classList.remove('is-visible');
-    }, 3000);
+    }, action ? 8000 : 3000);
 }
\ No newline at end of file
@@ -1,3 +1,5 @@
+import { PRIORITIES } from '../services/sla.js';
+
 export function setupFormValidationListeners(formId) {
     const form = document.getElementById(formId);
     form.querySelectorAll('input, textarea, select').forEach(input => {
@@ -6,52 +8,85 @@ export function setupFormValidationListeners(formId) {
     });
 }
 
+export const CONTACT_METHODS = ['Email', 'Phone'];
+
+// Rules that only look at the value. Shared by the forms and the import screen, so imported tickets meet the same bar.
+const FIELD_RULES = {
+    fullName: value => {
+        if (!value.trim()) return 'Full name is required';
+        if (value.trim().length < 2) return 'Must be at least 2 characters';
+        return null;
+    },
+    email: value => {
+        const emailPattern = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+        if (!value.trim()) return 'Email is required';
+        if (!emailPattern.test(value.trim())) return 'Please enter a valid email';
+        return null;
+    },
+    phone: value => {
+        const phonePattern = /^(?:0[17]\d{8}|(?:\+|00)[1-9]\d{6,14})$/;
+        if (!value.trim()) return 'Phone number is required';
+        if (!phonePattern.test(value.replace(/[\s\-\(\)]/g, ''))) return 'Enter a valid Kenyan (07/01) or intl number';
+        return null;
+    },
+    subject: value => value ? null : 'Please select a subject',
+    priority: value => PRIORITIES.some(p => p.id === value) ? null : 'Please select a priority',
+    message: value => {
+        if (!value.trim()) return 'Message is required';
+        if (value.trim().length < 10) return 'Message must be at least 10 characters';
+        return null;
+    },
+    contact: value => CONTACT_METHODS.includes(value) ? null : 'Please select a contact method',
+};
+
+// Form fields that are checked with the rule of another field.
+const RULE_ALIASES = {
+    editFullName: 'fullName', contactName: 'fullName',
+    editEmail: 'email', contactEmail: 'email',
+    editPhone: 'phone',
+    editSubject: 'subject',
+    editPriority: 'priority',
+    editMessage: 'message',
+    editContact: 'contact',
+};
+
+// Returns the error message for a value, or null when it is valid.
+export function getFieldError(ruleName, value) {
+    return FIELD_RULES[ruleName]?.(value ?? '') ?? null;
+}
+
 export function validateField(field) {
     const fieldName = field.name || field.id;
     let isValid = true;
     clearFieldError(fieldName);
 
+    const rule = RULE_ALIASES[fieldName] || fieldName;
+    if (FIELD_RULES[rule]) {
+        // Radio groups are validated on the checked option of the group.
+        const value = field.type === 'radio' ? field.closest('form').querySelector(`input[name="${fieldName}"]:checked`)?.value : field.value;
+        const error = getFieldError(rule, value);
+        if (error) { showFieldError(fieldName, error); isValid = false; }
+        return isValid;
+    }
+
     switch (fieldName) {
-        case 'fullName': case 'editFullName':
-            if (!field.value.trim()) {
-                showFieldError(fieldName, 'Full name is required'); isValid = false;
-            } else if (field.value.trim().length < 2) {
-                showFieldError(fieldName, 'Must be at least 2 characters'); isValid = false;
-            }
-            break;
-        case 'email': case 'editEmail':
-            const emailPattern = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
-            if (!field.value.trim()) {
-                showFieldError(fieldName, 'Email is required'); isValid = false;
-            } else if (!emailPattern.test(field.value.trim())) {
-                showFieldError(fieldName, 'Please enter a valid email'); isValid = false;
-            }
-            break;
-        case 'phone': case 'editPhone':
-            const phonePattern = /^(?:0[17]\d{8}|(?:\+|00)[1-9]\d{6,14})$/;
-            if (!field.value.trim()) {
-                showFieldError(fieldName, 'Phone number is required'); isValid = false;
-            } else if (!phonePattern.test(field.value.replace(/[\s\-\(\)]/g, ''))) {
-                showFieldError(fieldName, 'Enter a valid Kenyan (07/01) or intl number'); isValid = false;
-            }
+        case 'terms':
+            if (!field.checked) { showFieldError(fieldName, 'You must agree to the terms'); isValid = false; }
             break;
-        case 'subject': case 'editSubject':
-            if (!field.value) { showFieldError(fieldName, 'Please select a subject'); isValid = false; }
+        case 'unlockPassphrase': case 'currentPassphrase': case 'restorePassphrase':
+            if (!field.value) { showFieldError(fieldName, 'Passphrase is required'); isValid = false; }
             break;
-        case 'message': case 'editMessage':
-            if (!field.value.trim()) {
-                showFieldError(fieldName, 'Message is required'); isValid = false;
-            } else if (field.value.trim().length < 10) {
-                showFieldError(fieldName, 'Message must be at least 10 characters'); isValid = false;
+        case 'setupPassphrase': case 'newPassphrase': case 'backupPassphrase':
+            if (!field.value) {
+                showFieldError(fieldName, 'Passphrase is required'); isValid = false;
+            } else if (field.value.length < 8) {
+                showFieldError(fieldName, 'Must be at least 8 characters'); isValid = false;
             }
             break;
-        case 'terms':
-            if (!field.checked) { showFieldError(fieldName, 'You must agree to the terms'); isValid = false; }
-            break;
-        case 'contact': case 'editContact':
-            const form = field.closest('form');
-            if (!form.querySelector(`input[name="${fieldName}"]:checked`)) {
-                showFieldError(fieldName, 'Please select a contact method'); isValid = false;
+        case 'setupPassphraseConfirm': case 'newPassphraseConfirm': case 'backupPassphraseConfirm':
+            const passphraseField = document.getElementById(fieldName.replace('Confirm', ''));
+            if (field.value !== passphraseField.value) {
+                showFieldError(fieldName, 'Passphrases do not match'); isValid = false;
             }
             break;
     }
@@ -1,8 +1,7 @@
 import { App } from './app.js';
 
 document.addEventListener('DOMContentLoaded', () => {
-    // Make the app instance globally available.
-    // This is a pragmatic choice to allow simple `onclick="app.viewTicket(...)"` handlers in the HTML,
-    // which simplifies dynamic table row generation.
+    // Make the app instance globally available, which helps when debugging from the console.
+    // Rendered buttons do not rely on it: they use `data-ticket-action` (see App.setupEventListeners).
     window.app = new App();
 });
\ No newline at end of file
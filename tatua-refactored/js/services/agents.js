@@ -0,0 +1,46 @@
+// Registry of support agents tickets can be assigned to, and the agent using this browser.
+// Agents are identified by their display name, which is what tickets store as `assignee`.
+// The registry lives in localStorage so it is shared by every storage strategy and survives switching between them.
+export const AGENTS_STORAGE_KEY = 'tatua_agents';
+export const CURRENT_AGENT_STORAGE_KEY = 'tatua_current_agent';
+
+export function getAgents() {
+    try {
+        const agents = JSON.parse(localStorage.getItem(AGENTS_STORAGE_KEY) || '[]');
+        return Array.isArray(agents) ? agents : [];
+    } catch (e) {
+        console.error('Failed to read the agents registry:', e);
+        return [];
+    }
+}
+
+function saveAgents(agents) {
+    localStorage.setItem(AGENTS_STORAGE_KEY, JSON.stringify(agents));
+}
+
+const normalizeName = name => name.trim().replace(/\s+/g, ' ');
+
+// Returns false if an agent with the same name (ignoring case) is already registered.
+export function addAgent(name) {
+    const agentName = normalizeName(name);
+    const agents = getAgents();
+    if (!agentName || agents.some(a => a.toLowerCase() === agentName.toLowerCase())) return false;
+    saveAgents([...agents, agentName].sort((a, b) => a.localeCompare(b)));
+    return true;
+}
+
+// Tickets already assigned to a removed agent keep the name, so history is not rewritten.
+export function removeAgent(name) {
+    saveAgents(getAgents().filter(a => a !== name));
+    if (getCurrentAgent() === name) setCurrentAgent(null);
+}
+
+export function getCurrentAgent() {
+    const name = localStorage.getItem(CURRENT_AGENT_STORAGE_KEY);
+    return name && getAgents().includes(name) ? name : null;
+}
+
+export function setCurrentAgent(name) {
+    if (name) localStorage.setItem(CURRENT_AGENT_STORAGE_KEY, name);
+    else localStorage.removeItem(CURRENT_AGENT_STORAGE_KEY);
+}
\ No newline at end of file
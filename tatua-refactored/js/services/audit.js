@@ -0,0 +1,53 @@
+// Audit trail of ticket changes. Every strategy records an entry for each save, update and delete, so the
+// history cannot be bypassed by a caller that forgets to log. Also used by server/mock-server.mjs.
+
+// Bookkeeping fields that change on every write and say nothing about what the user did.
+const IGNORED_FIELDS = ['version', 'updatedAt'];
+
+// Fields too large or too structured to copy into every entry are recorded as a short description instead.
+const SUMMARIZED_FIELDS = {
+    attachmentData: value => value ? `${value.type || 'file'} attachment` : null,
+    messages: value => `${value?.length || 0} message(s)`,
+};
+
+// Who is making changes; the app points this at the signed-in agent.
+let getActor = () => null;
+
+export function setAuditActor(getter) {
+    getActor = getter;
+}
+
+export function getAuditActor() {
+    return getActor() || 'Unknown';
+}
+
+const summarize = (field, value) => SUMMARIZED_FIELDS[field] ? SUMMARIZED_FIELDS[field](value) : value ?? null;
+
+export function diffTicketFields(before = {}, after = {}) {
+    const fields = new Set([...Object.keys(before), ...Object.keys(after)]);
+    return [...fields]
+        .filter(field => !IGNORED_FIELDS.includes(field))
+        .filter(field => JSON.stringify(before[field] ?? null) !== JSON.stringify(after[field] ?? null))
+        .map(field => ({ field, from: summarize(field, before[field]), to: summarize(field, after[field]) }));
+}
+
+/**
+ * Builds an audit entry for a change to one ticket.
+ * @param {'created'|'updated'|'deleted'} action
+ * @param {object|null} before The ticket as stored before the change (null when created).
+ * @param {object|null} after The ticket as stored after the change (null when deleted).
+ */
+export function createAuditEntry(action, before, after, actor = getAuditActor()) {
+    const ticketId = (after || before).id;
+    return {
+        id: `AUD-${Date.now().toString(36)}-${Math.random().toString(36).substr(2, 5)}`.toUpperCase(),
+        ticketId,
+        action,
+        actor,
+        at: new Date().toISOString(),
+        changes: action === 'deleted' ? [] : diffTicketFields(before || {}, after),
+    };
+}
+
+// Entries are kept oldest first.
+export const sortAuditEntries = entries => [...entries].sort((a, b) => a.at.localeCompare(b.at));
\ No newline at end of file
@@ -0,0 +1,200 @@
+// Encrypted backups of everything the app keeps for the active storage: tickets (with attachments, conversation and
+// trashed tickets), their audit trail, saved views, and the browser-wide settings, agents and contacts.
+// A backup file is JSON holding one archive encrypted with its own passphrase (see crypto.encryptWithPassphrase),
+// so it can be restored on a fresh browser profile.
+import { encryptWithPassphrase, decryptWithPassphrase, sha256, DecryptionError } from './crypto.js';
+import { SCHEMA_VERSION, SchemaVersionError, migrateTickets } from './migrations.js';
+import { SETTINGS_STORAGE_KEY } from './settings.js';
+import { AGENTS_STORAGE_KEY, CURRENT_AGENT_STORAGE_KEY, addAgent } from './agents.js';
+import { CONTACTS_STORAGE_KEY, addContact } from './contacts.js';
+import { findViewByName } from './views.js';
+
+export const BACKUP_FORMAT = 'tatua-backup';
+const BACKUP_VERSION = 1;
+export const RESTORE_MODES = ['merge', 'replace'];
+
+export class BackupError extends Error {
+    constructor(message) {
+        super(message);
+        this.name = 'BackupError';
+    }
+}
+
+// Browser-wide data that lives in localStorage next to the tickets.
+const PREFERENCE_KEYS = [SETTINGS_STORAGE_KEY, AGENTS_STORAGE_KEY, CURRENT_AGENT_STORAGE_KEY, CONTACTS_STORAGE_KEY];
+
+const getTimestamp = ticket => ticket.updatedAt || ticket.dateCreated || '';
+// A restored ticket gets a newer version than the one it replaced (see putTicket), so versions are not compared.
+const isSameTicket = (a, b) => JSON.stringify({ ...a, version: 0 }) === JSON.stringify({ ...b, version: 0 });
+
+/**
+ * Builds the contents of a backup file.
+ * @param {StorageStrategy} strategy The active storage; every ticket in it is included.
+ * @param {object} options
+ * @param {string} options.storageType Recorded in the archive so the restore summary can say where it came from.
+ * @param {string} options.passphrase Protects this backup only; it does not have to match the storage passphrase.
+ * @returns {Promise<string>}
+ */
+export async function createBackup(strategy, { storageType, passphrase }) {
+    const tickets = await strategy.getTickets();
+    const audit = [];
+    for (const ticket of tickets) audit.push(...await strategy.getAuditEntries(ticket.id));
+    const contents = {
+        tickets,
+        audit,
+        views: await strategy.getViews(),
+        preferences: Object.fromEntries(PREFERENCE_KEYS.map(key => [key, localStorage.getItem(key)])),
+    };
+    const archive = {
+        createdAt: new Date().toISOString(),
+        storageType,
+        schemaVersion: SCHEMA_VERSION,
+        counts: {
+            tickets: tickets.length,
+            attachments: tickets.filter(ticket => ticket.attachmentData).length,
+            auditEntries: audit.length,
+        },
+        checksum: await sha256(JSON.stringify(contents)),
+        contents,
+    };
+    return JSON.stringify({ format: BACKUP_FORMAT, version: BACKUP_VERSION, ...await encryptWithPassphrase(JSON.stringify(archive), passphrase) });
+}
+
+function parseEnvelope(text) {
+    let envelope;
+    try {
+        envelope = JSON.parse(text);
+    } catch {
+        throw new BackupError('This is not a Tatua backup file.');
+    }
+    if (envelope?.format !== BACKUP_FORMAT || typeof envelope.ciphertext !== 'string' || typeof envelope.salt !== 'string') {
+        throw new BackupError('This is not a Tatua backup file.');
+    }
+    if (envelope.version > BACKUP_VERSION) throw new BackupError('This backup was made by a newer version of the app.');
+    // The iteration count comes from the file, so refuse values that would make key derivation hang.
+    if (!Number.isInteger(envelope.iterations) || envelope.iterations < 1 || envelope.iterations > 10000000) {
+        throw new BackupError('The backup file is damaged.');
+    }
+    return envelope;
+}
+
+// Everything that is written on restore is checked here first, so a damaged archive never reaches the storage.
+async function verifyArchive(archive) {
+    const { contents, counts } = archive || {};
+    // Views were added to backups later, so older files have none.
+    if (!contents || !Array.isArray(contents.tickets) || !Array.isArray(contents.audit) || typeof contents.preferences !== 'object' ||
+        (contents.views !== undefined && !Array.isArray(contents.views))) {
+        throw new BackupError('The backup is incomplete.');
+    }
+    if (archive.checksum !== await sha256(JSON.stringify(contents))) throw new BackupError('The backup failed its integrity check.');
+    if (counts?.tickets !== contents.tickets.length || counts?.auditEntries !== contents.audit.length) {
+        throw new BackupError('The backup failed its integrity check.');
+    }
+    const ids = contents.tickets.map(ticket => ticket?.id);
+    if (ids.some(id => typeof id !== 'string' || !id) || new Set(ids).size !== ids.length) {
+        throw new BackupError('The backup contains tickets without a unique ID.');
+    }
+    try {
+        return { ...archive, contents: { ...contents, tickets: migrateTickets(contents.tickets, archive.schemaVersion) } };
+    } catch (e) {
+        if (e instanceof SchemaVersionError) throw new BackupError('This backup was made by a newer version of the app.');
+        throw e;
+    }
+}
+
+/**
+ * Decrypts and checks a backup file without writing anything.
+ * @returns {Promise<object>} The archive, with its tickets migrated to the current schema.
+ * @throws {BackupError} When the passphrase is wrong or the file is damaged or not a backup.
+ */
+export async function readBackup(text, passphrase) {
+    const envelope = parseEnvelope(text);
+    let archive;
+    try {
+        archive = JSON.parse(await decryptWithPassphrase(envelope, passphrase));
+    } catch (e) {
+        if (e instanceof DecryptionError || e instanceof SyntaxError || e.name === 'InvalidCharacterError') {
+            throw new BackupError('The passphrase is wrong, or the backup file has been modified.');
+        }
+        throw e;
+    }
+    return verifyArchive(archive);
+}
+
+// Replace restores the registries exactly; merge adds the agents and contacts that are missing and only fills
+// in settings that are not set in this browser.
+function restorePreferences(preferences, mode) {
+    if (mode === 'replace') {
+        PREFERENCE_KEYS.forEach(key => {
+            if (preferences[key] === null || preferences[key] === undefined) localStorage.removeItem(key);
+            else localStorage.setItem(key, preferences[key]);
+        });
+        return;
+    }
+    const parseList = value => {
+        try {
+            const list = JSON.parse(value || '[]');
+            return Array.isArray(list) ? list : [];
+        } catch {
+            return [];
+        }
+    };
+    parseList(preferences[AGENTS_STORAGE_KEY]).forEach(name => typeof name === 'string' && addAgent(name));
+    parseList(preferences[CONTACTS_STORAGE_KEY]).forEach(c => c?.name && c?.email && addContact(c.name, c.email));
+    [SETTINGS_STORAGE_KEY, CURRENT_AGENT_STORAGE_KEY].forEach(key => {
+        if (localStorage.getItem(key) === null && preferences[key]) localStorage.setItem(key, preferences[key]);
+    });
+}
+
+// Merge keeps the storage's own view when both have one with the same name.
+async function restoreViews(strategy, savedViews = [], mode) {
+    if (mode === 'replace') return strategy.saveViews(savedViews);
+    const current = await strategy.getViews();
+    const missing = savedViews.filter(view => !findViewByName(current, view.name));
+    if (missing.length > 0) await strategy.saveViews([...current, ...missing]);
+}
+
+// Returns false when the storage keeps its own trail (remote) and so cannot take the entries.
+async function restoreAuditEntries(strategy, entries) {
+    if (strategy.keepsOwnAuditTrail) return false;
+    await strategy.importAuditEntries(entries);
+    return true;
+}
+
+/**
+ * Writes a verified backup (from `readBackup`) to a storage strategy.
+ * `replace` makes the storage match the backup. `merge` keeps tickets that are only in the storage and, for tickets
+ * in both, keeps whichever copy was updated last.
+ * @returns {Promise<{added: number, updated: number, unchanged: number, removed: number, auditRestored: boolean}>}
+ */
+export async function restoreBackup(strategy, archive, mode) {
+    if (!RESTORE_MODES.includes(mode)) throw new Error(`Unknown restore mode: ${mode}`);
+    const { tickets, audit, views, preferences } = archive.contents;
+    const current = new Map((await strategy.getTickets()).map(ticket => [ticket.id, ticket]));
+    const backupIds = new Set(tickets.map(ticket => ticket.id));
+    const result = { added: 0, updated: 0, unchanged: 0, removed: 0, auditRestored: true };
+
+    // Tickets are written in place and removals come last, so a restore that fails part-way never loses a ticket.
+    // Strategies store newest first, so write oldest first to keep the original order.
+    for (const ticket of [...tickets].reverse()) {
+        const existing = current.get(ticket.id);
+        if (existing && (isSameTicket(existing, ticket) || (mode === 'merge' && getTimestamp(existing) >= getTimestamp(ticket)))) {
+            result.unchanged++;
+            continue;
+        }
+        await strategy.putTicket(ticket);
+        if (existing) result.updated++;
+        else result.added++;
+    }
+    result.auditRestored = await restoreAuditEntries(strategy, audit);
+    await restoreViews(strategy, views, mode);
+    if (mode === 'replace') {
+        for (const ticketId of current.keys()) {
+            if (backupIds.has(ticketId)) continue;
+            await strategy.deleteTicket(ticketId);
+            result.removed++;
+        }
+    }
+    restorePreferences(preferences, mode);
+    return result;
+}
\ No newline at end of file
@@ -0,0 +1,28 @@
+// Saved recipients for forwarding tickets, e.g. the bank's IT escalation desk.
+// Kept in localStorage like the agents registry, so they are available whichever ticket storage is active.
+export const CONTACTS_STORAGE_KEY = 'tatua_contacts';
+
+export function getContacts() {
+    try {
+        const contacts = JSON.parse(localStorage.getItem(CONTACTS_STORAGE_KEY) || '[]');
+        return Array.isArray(contacts) ? contacts : [];
+    } catch (e) {
+        console.error('Failed to read saved contacts:', e);
+        return [];
+    }
+}
+
+// Returns false if a contact with the same email address is already saved.
+export function addContact(name, email) {
+    const contact = { name: name.trim(), email: email.trim() };
+    const contacts = getContacts();
+    if (contacts.some(c => c.email.toLowerCase() === contact.email.toLowerCase())) return false;
+    contacts.push(contact);
+    contacts.sort((a, b) => a.name.localeCompare(b.name));
+    localStorage.setItem(CONTACTS_STORAGE_KEY, JSON.stringify(contacts));
+    return true;
+}
+
+export function removeContact(email) {
+    localStorage.setItem(CONTACTS_STORAGE_KEY, JSON.stringify(getContacts().filter(c => c.email !== email)));
+}
\ No newline at end of file
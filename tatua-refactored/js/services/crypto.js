@@ -1,22 +1,187 @@
-const CIPHER_KEY = '1BwRbdWJ9A0R0dFC1ZtrpUw93WBjhn93nede7VO9GgI=';
+// Ticket data is encrypted with AES-GCM under a key derived from the user's passphrase (PBKDF2 via WebCrypto).
+// The derived key only ever lives in memory; localStorage keeps the salt and a verifier to check the passphrase.
+//
+// Ciphertexts use a versioned envelope, `tatua:v2:<iv>:<ciphertext>` (base64). AES-GCM authenticates every
+// write, so a wrong key or modified data raises a DecryptionError instead of producing garbage.
+// Version 1 is the unauthenticated CryptoJS format written by earlier releases; it is still read, never written.
+export const KEYRING_STORAGE_KEY = 'tatua_keyring';
+const PBKDF2_ITERATIONS = 600000;
+const VERIFIER_TEXT = 'tatua-keyring-check';
+const ENVELOPE_PREFIX = 'tatua:v2:';
+const LEGACY_ENVELOPE_PREFIX = 'U2FsdGVkX1'; // base64 of CryptoJS's "Salted__" header
+const IV_BYTES = 12;
 
-export function encryptAES(text) {
+// Data written before passphrases existed was encrypted with this constant. It is only used to migrate that data.
+const LEGACY_CIPHER_KEY = '1BwRbdWJ9A0R0dFC1ZtrpUw93WBjhn93nede7VO9GgI=';
+
+export class DecryptionError extends Error {
+    constructor(message = 'Stored data could not be decrypted. It has been modified, or the key is wrong.') {
+        super(message);
+        this.name = 'DecryptionError';
+    }
+}
+
+// { aesKey: CryptoKey, legacyKey: string } once unlocked. The legacy key only decrypts version 1 envelopes.
+let activeKey = null;
+
+function toBase64(bytes) {
+    const view = new Uint8Array(bytes);
+    let binary = '';
+    for (let i = 0; i < view.length; i += 0x8000) {
+        binary += String.fromCharCode(...view.subarray(i, i + 0x8000));
+    }
+    return btoa(binary);
+}
+
+const fromBase64 = (text) => Uint8Array.from(atob(text), c => c.charCodeAt(0));
+const toHex = (buffer) => [...new Uint8Array(buffer)].map(b => b.toString(16).padStart(2, '0')).join('');
+
+async function deriveKey(passphrase, salt, iterations) {
+    const material = await crypto.subtle.importKey('raw', new TextEncoder().encode(passphrase), 'PBKDF2', false, ['deriveBits']);
+    const bits = await crypto.subtle.deriveBits({ name: 'PBKDF2', salt, iterations, hash: 'SHA-256' }, material, 256);
+    const aesKey = await crypto.subtle.importKey('raw', bits, 'AES-GCM', false, ['encrypt', 'decrypt']);
+    return { aesKey, legacyKey: toHex(bits) };
+}
+
+async function encryptWithKey(text, key) {
+    const iv = crypto.getRandomValues(new Uint8Array(IV_BYTES));
+    const ciphertext = await crypto.subtle.encrypt({ name: 'AES-GCM', iv }, key.aesKey, new TextEncoder().encode(text));
+    return `${ENVELOPE_PREFIX}${toBase64(iv)}:${toBase64(ciphertext)}`;
+}
+
+function decryptLegacy(ciphertext, passphraseKey) {
+    let decryptedText = '';
     try {
-        return CryptoJS.AES.encrypt(text, CIPHER_KEY).toString();
-    } catch (e) {
-        console.error("AES Encryption failed:", e);
-        return text;
+        decryptedText = CryptoJS.AES.decrypt(ciphertext, passphraseKey).toString(CryptoJS.enc.Utf8);
+    } catch {
+        // A wrong key usually yields bytes that are not valid UTF-8.
     }
+    if (!decryptedText) throw new DecryptionError();
+    return decryptedText;
 }
 
-export function decryptAES(ciphertext) {
+async function decryptWithKey(ciphertext, key) {
+    if (typeof ciphertext !== 'string') throw new DecryptionError('Stored data is not a ciphertext.');
+    if (ciphertext.startsWith(LEGACY_ENVELOPE_PREFIX)) return decryptLegacy(ciphertext, key.legacyKey);
+    if (!ciphertext.startsWith(ENVELOPE_PREFIX)) throw new DecryptionError('Stored data uses an unknown encryption format.');
+
+    const [iv, data] = ciphertext.slice(ENVELOPE_PREFIX.length).split(':');
     try {
-        const bytes = CryptoJS.AES.decrypt(ciphertext, CIPHER_KEY);
-        const decryptedText = bytes.toString(CryptoJS.enc.Utf8);
-        if (!decryptedText) throw new Error("Decryption resulted in empty string.");
-        return decryptedText;
+        const plaintext = await crypto.subtle.decrypt({ name: 'AES-GCM', iv: fromBase64(iv) }, key.aesKey, fromBase64(data));
+        return new TextDecoder().decode(plaintext);
+    } catch {
+        throw new DecryptionError();
+    }
+}
+
+function readKeyring() {
+    const stored = localStorage.getItem(KEYRING_STORAGE_KEY);
+    return stored ? JSON.parse(stored) : null;
+}
+
+async function createKeyring(passphrase) {
+    const salt = crypto.getRandomValues(new Uint8Array(16));
+    const key = await deriveKey(passphrase, salt, PBKDF2_ITERATIONS);
+    const keyring = { salt: toBase64(salt), iterations: PBKDF2_ITERATIONS, verifier: await encryptWithKey(VERIFIER_TEXT, key) };
+    return { key, keyring };
+}
+
+// Resolves to the derived key when the passphrase matches the stored keyring, otherwise to null.
+async function verifyPassphrase(passphrase) {
+    const keyring = readKeyring();
+    if (!keyring) return null;
+    const key = await deriveKey(passphrase, fromBase64(keyring.salt), keyring.iterations);
+    try {
+        return await decryptWithKey(keyring.verifier, key) === VERIFIER_TEXT ? key : null;
     } catch (e) {
-        console.error("AES Decryption failed:", e);
-        return ciphertext;
+        if (e instanceof DecryptionError) return null;
+        throw e;
+    }
+}
+
+function requireKey() {
+    if (!activeKey) throw new Error("Storage is locked. Enter the passphrase first.");
+    return activeKey;
+}
+
+export function hasPassphrase() { return readKeyring() !== null; }
+
+export function isUnlocked() { return activeKey !== null; }
+
+export function lock() { activeKey = null; }
+
+/**
+ * Sets the first passphrase. Data encrypted with the legacy built-in key is re-encrypted under the new one.
+ * @param {string} passphrase
+ * @param {Function} reencryptStores Receives an async `(ciphertext) => ciphertext` function and applies it to every store.
+ * It must reject without writing anything when a ciphertext cannot be converted; the keyring is only written after it resolves.
+ */
+export async function setupPassphrase(passphrase, reencryptStores) {
+    if (hasPassphrase()) throw new Error('A passphrase has already been set.');
+    const { key, keyring } = await createKeyring(passphrase);
+    await reencryptStores(async (ciphertext) => encryptWithKey(decryptLegacy(ciphertext, LEGACY_CIPHER_KEY), key));
+    localStorage.setItem(KEYRING_STORAGE_KEY, JSON.stringify(keyring));
+    activeKey = key;
+}
+
+export async function unlock(passphrase) {
+    const key = await verifyPassphrase(passphrase);
+    if (!key) return false;
+    activeKey = key;
+    const keyring = readKeyring();
+    if (!keyring.verifier.startsWith(ENVELOPE_PREFIX)) {
+        localStorage.setItem(KEYRING_STORAGE_KEY, JSON.stringify({ ...keyring, verifier: await encryptWithKey(VERIFIER_TEXT, key) }));
     }
-}
\ No newline at end of file
+    return true;
+}
+
+/**
+ * Rewrites data still in the legacy CryptoJS format under the AES-GCM key, using the same two-phase re-encryption
+ * as a passphrase change. Data already in the current format is left as it is, so nothing is written once it is done.
+ * @param {Function} reencryptStores See `setupPassphrase`.
+ */
+export async function upgradeLegacyData(reencryptStores) {
+    const key = requireKey();
+    await reencryptStores(async (ciphertext) => typeof ciphertext === 'string' && ciphertext.startsWith(ENVELOPE_PREFIX)
+        ? ciphertext
+        : encryptWithKey(await decryptWithKey(ciphertext, key), key));
+}
+
+export async function changePassphrase(currentPassphrase, newPassphrase, reencryptStores) {
+    const oldKey = await verifyPassphrase(currentPassphrase);
+    if (!oldKey) return false;
+    const { key, keyring } = await createKeyring(newPassphrase);
+    await reencryptStores(async (ciphertext) => encryptWithKey(await decryptWithKey(ciphertext, oldKey), key));
+    localStorage.setItem(KEYRING_STORAGE_KEY, JSON.stringify(keyring));
+    activeKey = key;
+    return true;
+}
+
+/**
+ * Encrypts with a key derived from `passphrase` and a fresh salt. The result carries its own salt, so it can be
+ * decrypted with the passphrase alone, even after this browser's keyring has been wiped (used for backups).
+ * @returns {Promise<{salt: string, iterations: number, ciphertext: string}>}
+ */
+export async function encryptWithPassphrase(text, passphrase) {
+    const salt = crypto.getRandomValues(new Uint8Array(16));
+    const key = await deriveKey(passphrase, salt, PBKDF2_ITERATIONS);
+    return { salt: toBase64(salt), iterations: PBKDF2_ITERATIONS, ciphertext: await encryptWithKey(text, key) };
+}
+
+export async function decryptWithPassphrase({ salt, iterations, ciphertext }, passphrase) {
+    const key = await deriveKey(passphrase, fromBase64(salt), iterations);
+    return decryptWithKey(ciphertext, key);
+}
+
+export async function sha256(text) {
+    return toHex(await crypto.subtle.digest('SHA-256', new TextEncoder().encode(text)));
+}
+
+export function encryptAES(text) {
+    return encryptWithKey(text, requireKey());
+}
+
+// Rejects with DecryptionError when the data was tampered with or was encrypted under another key.
+export function decryptAES(ciphertext) {
+    return decryptWithKey(ciphertext, requireKey());
+}
@@ -0,0 +1,121 @@
+// Export of the tickets list as CSV or JSON, with the columns picked by the user. Attachments can be embedded as
+// base64 or referenced by file name inside a separate zip archive.
+import { getThread } from './thread.js';
+import { createZip } from './zip.js';
+
+export const EXPORT_FORMATS = {
+    csv: { extension: 'csv', type: 'text/csv;charset=utf-8' },
+    json: { extension: 'json', type: 'application/json' },
+};
+
+export const ATTACHMENT_MODES = ['none', 'zip', 'base64'];
+
+// `value` gives the JSON value; CSV cells flatten lists with "; ".
+export const EXPORT_COLUMNS = [
+    { id: 'id', label: 'Ticket ID' },
+    { id: 'fullName', label: 'Full Name' },
+    { id: 'email', label: 'Email' },
+    { id: 'phone', label: 'Phone' },
+    { id: 'subject', label: 'Subject' },
+    { id: 'message', label: 'Message' },
+    { id: 'contact', label: 'Preferred Contact' },
+    { id: 'status', label: 'Status' },
+    { id: 'priority', label: 'Priority' },
+    { id: 'assignee', label: 'Assignee' },
+    { id: 'tags', label: 'Tags', value: ticket => ticket.tags || [] },
+    { id: 'dateCreated', label: 'Date Created' },
+    { id: 'updatedAt', label: 'Last Updated' },
+    { id: 'firstResponseAt', label: 'First Response' },
+    { id: 'resolvedAt', label: 'Resolved At' },
+    { id: 'messageCount', label: 'Messages', value: ticket => getThread(ticket).length },
+    { id: 'attachmentName', label: 'Attachment' },
+];
+
+const ATTACHMENT_FIELD_LABELS = {
+    attachmentFile: 'Attachment File',
+    attachmentType: 'Attachment Type',
+    attachmentBase64: 'Attachment (base64)',
+};
+
+export const DEFAULT_EXPORT_COLUMNS = ['id', 'fullName', 'email', 'subject', 'status', 'priority', 'assignee', 'dateCreated'];
+
+const getColumnValue = (column, ticket) => (column.value ? column.value(ticket) : ticket[column.id]) ?? null;
+
+const getAttachmentFileName = ticket => `${ticket.id}/${ticket.attachmentName || 'attachment'}`;
+
+function getAttachmentBase64(ticket) {
+    return ticket.attachmentData?.data.split(',')[1] ?? null;
+}
+
+function base64ToBytes(base64) {
+    return Uint8Array.from(atob(base64), char => char.charCodeAt(0));
+}
+
+// Extra fields describing the attachment, depending on how attachments are exported.
+function getAttachmentFields(ticket, attachments) {
+    if (attachments === 'zip') {
+        return { attachmentFile: ticket.attachmentData ? getAttachmentFileName(ticket) : null };
+    }
+    if (attachments === 'base64') {
+        return { attachmentType: ticket.attachmentData?.type ?? null, attachmentBase64: getAttachmentBase64(ticket) };
+    }
+    return {};
+}
+
+export function toRecords(tickets, columnIds, attachments = 'none') {
+    const columns = EXPORT_COLUMNS.filter(column => columnIds.includes(column.id));
+    return tickets.map(ticket => ({
+        ...Object.fromEntries(columns.map(column => [column.id, getColumnValue(column, ticket)])),
+        ...getAttachmentFields(ticket, attachments),
+    }));
+}
+
+// Spreadsheet apps run cells starting with these characters as formulas; phone numbers like +254... are left alone.
+function escapeCsvCell(value) {
+    let text = Array.isArray(value) ? value.join('; ') : String(value ?? '');
+    if (/^[=+\-@\t\r]/.test(text) && !/^[+-]?[\d\s()-]+$/.test(text)) text = `'${text}`;
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+// True for the header row `toCsv` writes, so an import can tell this app's own exports from other CSV files.
+export function isExportHeader(labels) {
+    const known = [...EXPORT_COLUMNS.map(column => column.label), ...Object.values(ATTACHMENT_FIELD_LABELS)];
+    return labels.length > 0 && labels.every(label => known.includes(label));
+}
+
+export function toCsv(records) {
+    if (records.length === 0) return '';
+    const headers = Object.keys(records[0]);
+    const labels = headers.map(id => EXPORT_COLUMNS.find(column => column.id === id)?.label || ATTACHMENT_FIELD_LABELS[id]);
+    const rows = records.map(record => headers.map(id => escapeCsvCell(record[id])).join(','));
+    // The byte order mark makes Excel read the file as UTF-8 instead of the system code page.
+    return `\uFEFF${[labels.map(escapeCsvCell).join(','), ...rows].join('\r\n')}\r\n`;
+}
+
+export function createAttachmentsZip(tickets) {
+    return createZip(tickets.filter(ticket => ticket.attachmentData).map(ticket => ({
+        name: getAttachmentFileName(ticket),
+        data: base64ToBytes(getAttachmentBase64(ticket)),
+        date: new Date(ticket.dateCreated),
+    })));
+}
+
+/**
+ * Builds the files for an export of `tickets`, kept in the order given.
+ * @param {object} options
+ * @param {'csv'|'json'} options.format
+ * @param {string[]} options.columns Ids from EXPORT_COLUMNS.
+ * @param {'none'|'zip'|'base64'} options.attachments
+ * @param {string} options.baseName File name without extension.
+ * @returns {Array<{blob: Blob, filename: string}>} The export, followed by the attachments zip when requested.
+ */
+export function buildExport(tickets, { format, columns, attachments, baseName }) {
+    const records = toRecords(tickets, columns, attachments);
+    const { extension, type } = EXPORT_FORMATS[format];
+    const content = format === 'csv' ? toCsv(records) : JSON.stringify(records, null, 2);
+    const files = [{ blob: new Blob([content], { type }), filename: `${baseName}.${extension}` }];
+    if (attachments === 'zip' && tickets.some(ticket => ticket.attachmentData)) {
+        files.push({ blob: createAttachmentsZip(tickets), filename: `${baseName}-attachments.zip` });
+    }
+    return files;
+}
\ No newline at end of file
@@ -0,0 +1,90 @@
+// Builds forwards of a ticket for the user's email client: an RFC 822 message (.eml) that carries the attachment,
+// or a mailto: link, which cannot.
+const CRLF = '\r\n';
+
+function toBase64Utf8(text) {
+    const bytes = new TextEncoder().encode(text);
+    let binary = '';
+    bytes.forEach(b => binary += String.fromCharCode(b));
+    return btoa(binary);
+}
+
+// Base64 bodies must be split into lines of at most 76 characters.
+const wrapBase64 = base64 => base64.match(/.{1,76}/g)?.join(CRLF) || '';
+
+// Header values may only contain ASCII; anything else is sent as an RFC 2047 encoded word.
+function encodeHeader(value) {
+    return /^[\x20-\x7e]*$/.test(value) ? value : `=?UTF-8?B?${toBase64Utf8(value)}?=`;
+}
+
+const quoteParam = value => `"${encodeHeader(value).replace(/["\\]/g, '\\$&')}"`;
+
+// An encoded word may not appear inside a quoted string (RFC 2047 §5), so only ASCII display names are quoted.
+function formatDisplayName(name) {
+    return /^[\x20-\x7e]*$/.test(name) ? `"${name.replace(/["\\]/g, '\\$&')}"` : encodeHeader(name);
+}
+
+function formatDate(date) {
+    return date.toUTCString().replace('GMT', '+0000');
+}
+
+export function getForwardSubject(ticket) {
+    return `Fwd: [${ticket.id}] ${ticket.subject}`;
+}
+
+export function getForwardBody(ticket, details, note) {
+    const intro = note?.trim() ? `${note.trim()}\n\n` : '';
+    return `${intro}---------- Forwarded ticket ${ticket.id} ----------\n${details}\n`;
+}
+
+/**
+ * Builds an unsent email that opens as a draft in Outlook, Thunderbird or Apple Mail.
+ * @param {{ to: {name: string, email: string}, ticket: object, details: string, note?: string, date?: Date }} options
+ *        `details` is the plain-text ticket summary from `serializeTicketDetails`.
+ * @returns {string} The message, with CRLF line endings.
+ */
+export function buildEml({ to, ticket, details, note, date = new Date() }) {
+    const boundary = `----=_Tatua_${Date.now().toString(36)}${Math.random().toString(36).substr(2, 8)}`;
+    const headers = [
+        `To: ${formatDisplayName(to.name)} <${to.email}>`,
+        `Subject: ${encodeHeader(getForwardSubject(ticket))}`,
+        `Date: ${formatDate(date)}`,
+        'X-Unsent: 1',
+        'MIME-Version: 1.0',
+        `Content-Type: multipart/mixed; boundary="${boundary}"`,
+    ];
+    const parts = [[
+        'Content-Type: text/plain; charset=UTF-8',
+        'Content-Transfer-Encoding: base64',
+        '',
+        wrapBase64(toBase64Utf8(getForwardBody(ticket, details, note).replace(/\r?\n/g, CRLF))),
+    ]];
+    if (ticket.attachmentData?.data) {
+        const name = ticket.attachmentName || 'attachment';
+        const [, base64 = ''] = ticket.attachmentData.data.split(',');
+        parts.push([
+            `Content-Type: ${ticket.attachmentData.type || 'application/octet-stream'}; name=${quoteParam(name)}`,
+            'Content-Transfer-Encoding: base64',
+            `Content-Disposition: attachment; filename=${quoteParam(name)}`,
+            '',
+            wrapBase64(base64),
+        ]);
+    }
+    return [
+        ...headers,
+        '',
+        'This is a multi-part message in MIME format.',
+        ...parts.flatMap(part => [`--${boundary}`, ...part]),
+        `--${boundary}--`,
+        '',
+    ].join(CRLF);
+}
+
+export function buildMailto({ to, ticket, details, note }) {
+    let body = getForwardBody(ticket, details, note);
+    if (ticket.attachmentData) {
+        body += `\nAttachment "${ticket.attachmentName || 'attachment'}" is not included. Forward as an .eml file to send it.\n`;
+    }
+    const params = `subject=${encodeURIComponent(getForwardSubject(ticket))}&body=${encodeURIComponent(body)}`;
+    return `mailto:${to.email}?${params}`;
+}
\ No newline at end of file
@@ -0,0 +1,151 @@
+// Bulk import of tickets from CSV or JSON files, such as spreadsheets or the exports from the tickets list.
+// Rows are checked with the same rules as the ticket form before anything is saved.
+import { getFieldError, CONTACT_METHODS } from '../components/validation.js';
+import { STATUSES } from './workflow.js';
+import { PRIORITIES, DEFAULT_PRIORITY } from './sla.js';
+import { addTag } from './tags.js';
+import { isExportHeader } from './export.js';
+
+export const MAX_IMPORT_FILE_BYTES = 5 * 1024 * 1024;
+
+const findValue = (options, value) => options.find(option => option.toLowerCase() === value.toLowerCase()) || value;
+const normalizeDate = value => value && !isNaN(new Date(value)) ? new Date(value).toISOString() : value;
+const validateDate = value => !value || !isNaN(new Date(value)) ? null : 'Not a valid date';
+
+/**
+ * Ticket fields a source column can be mapped to. `aliases` are extra column names recognised when mapping
+ * automatically; `normalize` cleans up the raw text and `validate` returns an error message or null.
+ */
+export const IMPORT_FIELDS = [
+    { id: 'fullName', label: 'Full Name', required: true, aliases: ['name', 'raised by', 'customer'] },
+    { id: 'email', label: 'Email', required: true, aliases: ['email address', 'from'] },
+    { id: 'phone', label: 'Phone', required: true, aliases: ['phone number', 'mobile'] },
+    { id: 'subject', label: 'Subject', required: true },
+    { id: 'message', label: 'Message', required: true, aliases: ['body', 'description'] },
+    { id: 'contact', label: 'Preferred Contact', required: true, normalize: value => findValue(CONTACT_METHODS, value) },
+    {
+        id: 'priority', label: 'Priority',
+        normalize: value => value ? findValue(PRIORITIES.map(p => p.id), value) : DEFAULT_PRIORITY,
+    },
+    {
+        id: 'status', label: 'Status',
+        normalize: value => value && findValue(STATUSES, value),
+        validate: value => !value || STATUSES.includes(value) ? null : `Unknown status (use ${STATUSES.join(', ')})`,
+    },
+    { id: 'assignee', label: 'Assignee' },
+    { id: 'tags', label: 'Tags', normalize: value => value.split(/[;,]/).reduce(addTag, []) },
+    { id: 'dateCreated', label: 'Date Created', aliases: ['created', 'date'], normalize: normalizeDate, validate: validateDate },
+    // Written by the app's own export; when missing, they are worked out from the status (see createTicket).
+    { id: 'firstResponseAt', label: 'First Response', aliases: ['first response at'], normalize: normalizeDate, validate: validateDate },
+    { id: 'resolvedAt', label: 'Resolved At', aliases: ['resolved'], normalize: normalizeDate, validate: validateDate },
+];
+
+/**
+ * Parses CSV text (RFC 4180: quoted fields may contain commas, quotes and line breaks).
+ * @returns {string[][]} The rows, including the header row.
+ */
+export function parseCsv(text) {
+    const rows = [];
+    let row = [];
+    let field = '';
+    let inQuotes = false;
+    const source = text.replace(/^\uFEFF/, '');
+    for (let i = 0; i < source.length; i++) {
+        const char = source[i];
+        if (inQuotes) {
+            if (char === '"' && source[i + 1] === '"') { field += '"'; i++; }
+            else if (char === '"') inQuotes = false;
+            else field += char;
+        } else if (char === '"') {
+            inQuotes = true;
+        } else if (char === ',') {
+            row.push(field); field = '';
+        } else if (char === '\n' || char === '\r') {
+            if (char === '\r' && source[i + 1] === '\n') i++;
+            row.push(field); rows.push(row);
+            row = []; field = '';
+        } else {
+            field += char;
+        }
+    }
+    if (inQuotes) throw new Error('The CSV file ends inside a quoted value');
+    if (field || row.length) { row.push(field); rows.push(row); }
+    return rows;
+}
+
+// Exports prefix formula-like cells with an apostrophe (see export.js). It is only taken off again in this app's own
+// exports (a byte order mark and our header labels); in other files the apostrophe may be part of the value.
+const unescapeCell = value => /^'[=+\-@\t\r]/.test(value) ? value.slice(1) : value;
+
+function toText(value) {
+    if (value === null || value === undefined) return '';
+    return Array.isArray(value) ? value.join('; ') : String(value);
+}
+
+/**
+ * Reads an uploaded file into records keyed by the source column names.
+ * @returns {{columns: string[], rows: Array<{rowNumber: number, record: object}>}} `rowNumber` is where the record
+ *          is in the file (the spreadsheet row of a CSV, the 1-based array position in JSON), for the error report.
+ */
+export function parseImportFile(fileName, text) {
+    if (/\.json$/i.test(fileName) || /^\s*[[{]/.test(text)) {
+        let data;
+        try {
+            data = JSON.parse(text);
+        } catch {
+            throw new Error('The file is not valid JSON');
+        }
+        const items = Array.isArray(data) ? data : data.tickets;
+        if (!Array.isArray(items) || items.some(item => typeof item !== 'object' || item === null)) {
+            throw new Error('The JSON file must contain an array of ticket objects');
+        }
+        const columns = [...new Set(items.flatMap(Object.keys))];
+        const rows = items.map((item, index) => ({
+            rowNumber: index + 1,
+            record: Object.fromEntries(columns.map(column => [column, toText(item[column])])),
+        }));
+        return { columns, rows };
+    }
+    const [header = [], ...lines] = parseCsv(text);
+    const columns = header.map(column => column.trim());
+    const readCell = text.startsWith('\uFEFF') && isExportHeader(columns) ? unescapeCell : value => value;
+    const rows = lines
+        .map((line, index) => ({
+            rowNumber: index + 2,
+            record: Object.fromEntries(columns.map((column, i) => [column, readCell(line[i] ?? '')])),
+        }))
+        .filter(({ record }) => Object.values(record).some(value => value.trim()));
+    return { columns, rows };
+}
+
+const simplify = name => name.toLowerCase().replace(/[^a-z0-9]/g, '');
+
+// Maps each ticket field to the source column with the same name, label or alias (ignoring case and punctuation).
+export function guessMapping(columns) {
+    return Object.fromEntries(IMPORT_FIELDS.map(field => {
+        const names = [field.id, field.label, ...(field.aliases || [])].map(simplify);
+        return [field.id, columns.find(column => names.includes(simplify(column))) || ''];
+    }));
+}
+
+function validateRecord(record, mapping) {
+    const fields = {};
+    const errors = [];
+    IMPORT_FIELDS.forEach(field => {
+        const raw = mapping[field.id] ? toText(record[mapping[field.id]]).trim() : '';
+        const value = field.normalize ? field.normalize(raw) : raw;
+        const error = field.validate ? field.validate(value) : getFieldError(field.id, value);
+        if (error) errors.push({ field: field.label, message: error });
+        fields[field.id] = value;
+    });
+    return { fields, errors };
+}
+
+/**
+ * Checks every record against the form rules with the given column mapping.
+ * @param {object} mapping Ticket field id → source column name ('' when not mapped).
+ * @returns {Array<{rowNumber: number, fields: object, errors: Array<{field: string, message: string}>}>}
+ */
+export function validateImport({ rows }, mapping) {
+    return rows.map(({ rowNumber, record }) => ({ rowNumber, ...validateRecord(record, mapping) }));
+}
\ No newline at end of file
@@ -0,0 +1,75 @@
+// Ticket schema migrations. Each entry upgrades a ticket from `version - 1` to `version`.
+// Append new versions here whenever the shape produced by `createTicketFromForm` changes; never edit a shipped one.
+// Migrations must be idempotent (only backfill what is missing), because backends that cannot store
+// a schema version (RemoteStorage) replay all of them on every read.
+const migrations = {
+    // v2: normalise tickets written by the legacy app, which could omit status and attachment fields.
+    2: ticket => ({
+        ...ticket,
+        status: ticket.status || 'Open',
+        attachmentName: ticket.attachmentName ?? null,
+        attachmentData: ticket.attachmentData ?? null,
+    }),
+    // v3: optimistic concurrency control needs a per-ticket version and last-modified time.
+    3: ticket => ({
+        ...ticket,
+        version: ticket.version ?? 1,
+        updatedAt: ticket.updatedAt ?? ticket.dateCreated,
+    }),
+    // v4: priority drives SLA targets; existing tickets get the default.
+    4: ticket => ({
+        ...ticket,
+        priority: ticket.priority || 'Normal',
+    }),
+    // v5: tickets can be assigned to an agent; existing ones start unassigned.
+    5: ticket => ({
+        ...ticket,
+        assignee: ticket.assignee ?? null,
+    }),
+    // v6: replies and notes live in a message thread that starts with the customer's original message.
+    6: ticket => ({
+        ...ticket,
+        messages: ticket.messages ?? [{
+            id: `${ticket.id}-MSG-0`,
+            type: 'customer',
+            author: ticket.fullName,
+            body: ticket.message,
+            createdAt: ticket.dateCreated,
+        }],
+    }),
+    // v7: deleting moves a ticket to the Trash by setting `deletedAt` instead of removing it.
+    7: ticket => ({
+        ...ticket,
+        deletedAt: ticket.deletedAt ?? null,
+    }),
+    // v8: tickets can be tagged, mostly from bulk actions on the tickets list.
+    8: ticket => ({
+        ...ticket,
+        tags: ticket.tags ?? [],
+    }),
+};
+
+// Version 1 is the original, unversioned array of tickets.
+export const SCHEMA_VERSION = Math.max(1, ...Object.keys(migrations).map(Number));
+
+export class SchemaVersionError extends Error {
+    constructor(version) {
+        super(`Stored tickets use schema v${version}, which is newer than this app supports (v${SCHEMA_VERSION}).`);
+        this.name = 'SchemaVersionError';
+        this.version = version;
+    }
+}
+
+export function migrateTicket(ticket, fromVersion) {
+    if (fromVersion > SCHEMA_VERSION) throw new SchemaVersionError(fromVersion);
+    let migrated = ticket;
+    for (let version = fromVersion + 1; version <= SCHEMA_VERSION; version++) {
+        migrated = migrations[version](migrated);
+    }
+    return migrated;
+}
+
+export function migrateTickets(tickets, fromVersion) {
+    if (fromVersion > SCHEMA_VERSION) throw new SchemaVersionError(fromVersion);
+    return tickets.map(ticket => migrateTicket(ticket, fromVersion));
+}
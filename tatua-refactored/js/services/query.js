@@ -0,0 +1,194 @@
+// Filter queries used by the tickets table. A query is a tree of groups whose leaves are conditions on one column:
+//   group:     { type: 'group', op: 'and' | 'or', negate: false, children: [...] }
+//   condition: { column: 'status', relation: 'notEquals', value: 'Closed' }
+//              { column: 'dateCreated', relation: 'between', value: '2026-03-01', valueTo: '2026-03-31' }
+// A plain array of conditions (the format used before groups existed) is read as an AND group.
+import { PRIORITIES, getPriorityRank, getSlaState } from './sla.js';
+
+const DAY = 24 * 60 * 60 * 1000;
+const HOUR = 60 * 60 * 1000;
+
+export const QUERY_OPERATORS = {
+    and: 'All of',
+    or: 'Any of',
+};
+
+// Calendar day in local time as YYYY-MM-DD, the format of <input type="date">. Days compare correctly as strings.
+export function toDayKey(date) {
+    const pad = n => String(n).padStart(2, '0');
+    return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`;
+}
+
+// How the ticket's value and the value typed in the filter are read for each type of column.
+// Values that cannot be read (no date, a number that is not one) become null and match no typed relation.
+const VALUE_TYPES = {
+    text: {
+        read: value => (value ?? '').toString().toLowerCase(),
+        parse: input => (input ?? '').toString().toLowerCase(),
+    },
+    number: {
+        read: value => typeof value === 'number' && Number.isFinite(value) ? value : null,
+        parse: input => (input ?? '').toString().trim() === '' || isNaN(input) ? null : Number(input),
+    },
+    date: {
+        read: value => value && !isNaN(new Date(value)) ? toDayKey(new Date(value)) : null,
+        parse: input => /^\d{4}-\d{2}-\d{2}$/.test(input || '') ? input : null,
+    },
+};
+
+// Priority is compared by level (Low = 1 ... Urgent = 4), and can be typed either as the name or the level.
+const parsePriority = input => {
+    const rank = PRIORITIES.findIndex(p => p.id.toLowerCase() === (input ?? '').toString().trim().toLowerCase());
+    return rank === -1 ? VALUE_TYPES.number.parse(input) : rank + 1;
+};
+
+// Columns the tickets list can be sorted by, with the label shown in the sort modal.
+export const SORT_COLUMNS = {
+    id: 'Ticket ID',
+    fullName: 'Full Name',
+    status: 'Status',
+    priority: 'Priority',
+    sla: 'SLA Due',
+    assignee: 'Assignee',
+    dateCreated: 'Date Created',
+};
+
+/**
+ * Columns that can be filtered on. `type` (text by default) decides the relations offered; `value` reads the
+ * ticket's value when it is not simply `ticket[column]`, and `parse` reads the filter's value when the type's
+ * default does not fit.
+ */
+export const FILTER_COLUMNS = {
+    id: { label: 'Ticket ID' },
+    fullName: { label: 'Full Name' },
+    email: { label: 'Email' },
+    subject: { label: 'Subject' },
+    status: { label: 'Status' },
+    priority: { label: 'Priority', type: 'number', value: ticket => getPriorityRank(ticket.priority) + 1, parse: parsePriority },
+    assignee: { label: 'Assignee' },
+    tags: { label: 'Tags' },
+    dateCreated: { label: 'Date Created', type: 'date' },
+    updatedAt: { label: 'Last Updated', type: 'date' },
+    // Hours left on the current SLA target; negative once it is overdue, empty once the ticket is resolved.
+    slaHours: {
+        label: 'SLA Hours Left',
+        type: 'number',
+        value: ticket => {
+            const state = getSlaState(ticket);
+            return state ? state.remainingMs / HOUR : null;
+        },
+    },
+};
+
+export const getColumnType = column => FILTER_COLUMNS[column]?.type || 'text';
+
+// Negated relations are the opposite of their base relation, so "not contains" on a list field such as tags means
+// that none of the values contains the text. Range relations also take `valueTo`, and both ends are included.
+export const RELATIONS = {
+    contains: { label: 'Contains', types: ['text'], test: (value, expected) => value.includes(expected) },
+    notContains: { label: 'Does not contain', types: ['text'], negates: 'contains' },
+    equals: { label: 'Equals', types: ['text'], test: (value, expected) => value === expected },
+    notEquals: { label: 'Does not equal', types: ['text'], negates: 'equals' },
+    startsWith: { label: 'Starts with', types: ['text'], test: (value, expected) => value.startsWith(expected) },
+    endsWith: { label: 'Ends with', types: ['text'], test: (value, expected) => value.endsWith(expected) },
+    eq: { label: '=', types: ['number'], test: (value, expected) => value === expected },
+    ne: { label: '≠', types: ['number'], negates: 'eq' },
+    gt: { label: '>', types: ['number'], test: (value, expected) => value > expected },
+    gte: { label: '≥', types: ['number'], test: (value, expected) => value >= expected },
+    lt: { label: '<', types: ['number'], test: (value, expected) => value < expected },
+    lte: { label: '≤', types: ['number'], test: (value, expected) => value <= expected },
+    on: { label: 'On', types: ['date'], test: (value, expected) => value === expected },
+    before: { label: 'Before', types: ['date'], test: (value, expected) => value < expected },
+    after: { label: 'After', types: ['date'], test: (value, expected) => value > expected },
+    between: {
+        label: 'Between',
+        types: ['number', 'date'],
+        range: true,
+        test: (value, expected, expectedTo) => value >= expected && value <= expectedTo,
+    },
+    // "Last 7 days" is today and the six days before it.
+    lastDays: {
+        label: 'In the last (days)',
+        types: ['date'],
+        parse: (input, now = Date.now()) => {
+            const days = VALUE_TYPES.number.parse(input);
+            return days > 0 ? toDayKey(new Date(now - (Math.floor(days) - 1) * DAY)) : null;
+        },
+        test: (value, expected) => value >= expected,
+    },
+};
+
+export const getRelationsForType = type =>
+    Object.keys(RELATIONS).filter(id => RELATIONS[id].types.includes(type));
+
+export const createQueryGroup = (op = 'and', children = [], negate = false) => ({ type: 'group', op, negate, children });
+
+export const isQueryGroup = node => node?.type === 'group';
+
+export function toQuery(filters) {
+    if (Array.isArray(filters)) return createQueryGroup('and', filters);
+    return isQueryGroup(filters) ? filters : createQueryGroup();
+}
+
+function matchesCondition(ticket, condition) {
+    const relation = RELATIONS[condition.relation];
+    if (!relation) return true;
+    const base = relation.negates ? RELATIONS[relation.negates] : relation;
+    const column = FILTER_COLUMNS[condition.column] || {};
+    // Text relations always read the stored value, so they also work on typed columns (e.g. priority contains "urg").
+    const type = base.types.includes('text') ? 'text' : getColumnType(condition.column);
+    const parse = base.parse || (type !== 'text' && column.parse) || VALUE_TYPES[type].parse;
+    const expected = parse(condition.value);
+    const expectedTo = base.range ? parse(condition.valueTo) : null;
+    const rawValue = type !== 'text' && column.value ? column.value(ticket) : ticket[condition.column];
+
+    let matched = false;
+    if (expected !== null && (!base.range || expectedTo !== null)) {
+        // List fields such as tags match when any of their values does.
+        matched = [].concat(rawValue ?? (type === 'text' ? '' : []))
+            .map(VALUE_TYPES[type].read)
+            .some(value => value !== null && base.test(value, expected, expectedTo));
+    }
+    return relation.negates ? !matched : matched;
+}
+
+export function matchesQuery(ticket, node) {
+    if (!isQueryGroup(node)) return matchesCondition(ticket, node);
+    // An empty group places no restriction, whatever its operator and even when negated.
+    if (node.children.length === 0) return true;
+    const matched = node.op === 'or'
+        ? node.children.some(child => matchesQuery(ticket, child))
+        : node.children.every(child => matchesQuery(ticket, child));
+    return node.negate ? !matched : matched;
+}
+
+const isBlank = value => (value ?? '').toString().trim() === '';
+
+const isComplete = condition => !isBlank(condition.value) && !(RELATIONS[condition.relation]?.range && isBlank(condition.valueTo));
+
+// Rebuilds a query that comes from outside the app (e.g. a shared link), keeping only well-formed groups and
+// conditions on known columns and relations. Returns null when nothing usable is left.
+export function sanitizeQuery(node) {
+    if (isQueryGroup(node)) {
+        const children = Array.isArray(node.children) ? node.children.map(sanitizeQuery).filter(Boolean) : [];
+        return createQueryGroup(node.op === 'or' ? 'or' : 'and', children, node.negate === true);
+    }
+    const { column, relation, value, valueTo } = node || {};
+    if (!FILTER_COLUMNS[column] || !RELATIONS[relation] || typeof value !== 'string') return null;
+    return { column, relation, value, ...(typeof valueTo === 'string' ? { valueTo } : {}) };
+}
+
+// Drops conditions that are missing a value and the groups left empty by that; the root group is always kept.
+export function pruneQuery(node) {
+    const prune = group => {
+        const children = group.children
+            .map(child => isQueryGroup(child) ? prune(child) : child)
+            .filter(child => isQueryGroup(child) ? child.children.length > 0 : isComplete(child));
+        return { ...group, children };
+    };
+    return prune(toQuery(node));
+}
+
+export function countConditions(node) {
+    return isQueryGroup(node) ? node.children.reduce((count, child) => count + countConditions(child), 0) : 1;
+}
\ No newline at end of file
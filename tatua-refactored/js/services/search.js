@@ -0,0 +1,136 @@
+// Full-text search for the tickets table. An in-memory inverted index maps every word to the tickets containing it,
+// so a search only looks at the words it matches instead of scanning every ticket. Tickets are re-indexed when they
+// change (see `sync`), which keeps searching fast with thousands of tickets.
+import { getThread } from './thread.js';
+
+// How much a match counts for in each field; a match on the ID or the customer ranks above one in a reply.
+const FIELD_WEIGHTS = {
+    id: 8,
+    fullName: 5,
+    email: 5,
+    phone: 5,
+    subject: 3,
+    message: 2,
+    replies: 1,
+};
+
+// Words are runs of letters and digits, so "jane@example.com" is "jane", "example" and "com".
+export const WORD_PATTERN = /[\p{L}\p{N}]+/gu;
+
+export const tokenize = text => (text ?? '').toString().toLowerCase().match(WORD_PATTERN) || [];
+
+// The search terms typed by the user, without repeats.
+export const getSearchTerms = text => [...new Set(tokenize(text))];
+
+function getFieldTexts(ticket) {
+    const phone = (ticket.phone ?? '').toString();
+    return {
+        id: ticket.id,
+        fullName: ticket.fullName,
+        email: ticket.email,
+        // The digits on their own as well, so "0712345678" finds "0712 345 678".
+        phone: `${phone} ${phone.replace(/\D/g, '')}`,
+        subject: ticket.subject,
+        message: ticket.message,
+        // Everything after the customer's original message, which is already indexed as `message`.
+        replies: getThread(ticket).slice(1).map(entry => entry.body).join(' '),
+    };
+}
+
+// Changes whenever a ticket is saved: every update bumps the version, and replies are counted for older tickets.
+const getSignature = ticket => `${ticket.version || 1}|${ticket.updatedAt || ''}|${ticket.messages?.length || 0}`;
+
+export class SearchIndex {
+    constructor() {
+        this.clear();
+    }
+
+    clear() {
+        this.postings = new Map(); // word -> Map(ticket id -> weight)
+        this.documents = new Map(); // ticket id -> { signature, words }
+        this.sortedWords = null; // built on the next search, for prefix lookups
+    }
+
+    add(ticket) {
+        this.remove(ticket.id);
+        const weights = new Map();
+        Object.entries(getFieldTexts(ticket)).forEach(([field, text]) => {
+            new Set(tokenize(text)).forEach(word => weights.set(word, (weights.get(word) || 0) + FIELD_WEIGHTS[field]));
+        });
+        weights.forEach((weight, word) => {
+            if (!this.postings.has(word)) {
+                this.postings.set(word, new Map());
+                this.sortedWords = null;
+            }
+            this.postings.get(word).set(ticket.id, weight);
+        });
+        this.documents.set(ticket.id, { signature: getSignature(ticket), words: [...weights.keys()] });
+    }
+
+    remove(ticketId) {
+        const entry = this.documents.get(ticketId);
+        if (!entry) return;
+        entry.words.forEach(word => {
+            const postings = this.postings.get(word);
+            postings.delete(ticketId);
+            if (postings.size === 0) {
+                this.postings.delete(word);
+                this.sortedWords = null;
+            }
+        });
+        this.documents.delete(ticketId);
+    }
+
+    // Brings the index in line with the tickets just loaded: only new and changed tickets are (re-)indexed.
+    sync(tickets) {
+        const ids = new Set(tickets.map(ticket => ticket.id));
+        [...this.documents.keys()].filter(id => !ids.has(id)).forEach(id => this.remove(id));
+        tickets.forEach(ticket => {
+            if (this.documents.get(ticket.id)?.signature !== getSignature(ticket)) this.add(ticket);
+        });
+    }
+
+    // Indexed words that start with `prefix`, found by binary search in the sorted word list.
+    findWords(prefix) {
+        if (!this.sortedWords) this.sortedWords = [...this.postings.keys()].sort();
+        let low = 0;
+        let high = this.sortedWords.length;
+        while (low < high) {
+            const mid = (low + high) >> 1;
+            if (this.sortedWords[mid] < prefix) low = mid + 1;
+            else high = mid;
+        }
+        const words = [];
+        for (let i = low; i < this.sortedWords.length && this.sortedWords[i].startsWith(prefix); i++) words.push(this.sortedWords[i]);
+        return words;
+    }
+
+    /**
+     * Finds the tickets that contain every search term, each as a whole word or the start of one (so results
+     * update while the last word is still being typed).
+     * A term scores the field weight of its best matching word, doubled for a whole word and scaled by how rare
+     * the word is; a ticket's relevance is the sum over the terms.
+     * @returns {Map<string, number>|null} Relevance by ticket id, or null when there is nothing to search for.
+     */
+    search(text) {
+        const terms = getSearchTerms(text);
+        if (terms.length === 0) return null;
+        let scores = null;
+        for (const term of terms) {
+            const termScores = new Map();
+            this.findWords(term).forEach(word => {
+                const postings = this.postings.get(word);
+                const rarity = Math.log(1 + this.documents.size / postings.size);
+                const boost = word === term ? 2 : 1;
+                postings.forEach((weight, ticketId) => {
+                    if (scores && !scores.has(ticketId)) return;
+                    termScores.set(ticketId, Math.max(termScores.get(ticketId) || 0, weight * rarity * boost));
+                });
+            });
+            if (scores) termScores.forEach((score, ticketId) => termScores.set(ticketId, score + scores.get(ticketId)));
+            scores = termScores;
+            if (scores.size === 0) break;
+        }
+        return scores;
+    }
+}
\ No newline at end of file
@@ -0,0 +1,28 @@
+// App preferences that are not tied to one storage strategy.
+import { DEFAULT_EXPORT_COLUMNS } from './export.js';
+
+export const SETTINGS_STORAGE_KEY = 'tatua_settings';
+
+export const DEFAULT_SETTINGS = {
+    // Days a deleted ticket stays in the Trash before it is purged; 0 keeps it until purged by hand.
+    trashRetentionDays: 30,
+    // Last choices made in the export dialog.
+    exportFormat: 'csv',
+    exportColumns: DEFAULT_EXPORT_COLUMNS,
+    exportAttachments: 'none',
+};
+
+export function getSettings() {
+    try {
+        return { ...DEFAULT_SETTINGS, ...JSON.parse(localStorage.getItem(SETTINGS_STORAGE_KEY) || '{}') };
+    } catch (e) {
+        console.error('Failed to read settings:', e);
+        return { ...DEFAULT_SETTINGS };
+    }
+}
+
+export function updateSettings(changes) {
+    const settings = { ...getSettings(), ...changes };
+    localStorage.setItem(SETTINGS_STORAGE_KEY, JSON.stringify(settings));
+    return settings;
+}
\ No newline at end of file
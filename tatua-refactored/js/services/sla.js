@@ -0,0 +1,83 @@
+// Ticket priorities and their service level targets, in hours from the moment the ticket was raised.
+// Ordered from least to most urgent; that order is also the sort order for the priority column.
+export const PRIORITIES = [
+    { id: 'Low', badge: 'low', firstResponseHours: 24, resolutionHours: 120 },
+    { id: 'Normal', badge: 'normal', firstResponseHours: 8, resolutionHours: 72 },
+    { id: 'High', badge: 'high', firstResponseHours: 4, resolutionHours: 24 },
+    { id: 'Urgent', badge: 'urgent', firstResponseHours: 1, resolutionHours: 8 },
+];
+
+export const DEFAULT_PRIORITY = 'Normal';
+
+// Statuses that stop the resolution clock.
+const RESOLVED_STATUSES = ['Resolved', 'Closed'];
+
+const HOUR = 60 * 60 * 1000;
+
+export function getPriority(priority) {
+    return PRIORITIES.find(p => p.id === priority) || PRIORITIES.find(p => p.id === DEFAULT_PRIORITY);
+}
+
+export function getPriorityRank(priority) {
+    return PRIORITIES.indexOf(getPriority(priority));
+}
+
+/**
+ * Works out which SLA target currently applies to a ticket and how long is left on it.
+ * First response is due until an agent has picked the ticket up (`firstResponseAt`); after that the
+ * resolution target applies until the ticket is resolved (`resolvedAt`).
+ * @returns {{ target: 'firstResponse'|'resolution', hours: number, dueAt: number, remainingMs: number, breached: boolean }|null}
+ *          null once the ticket is resolved.
+ */
+export function getSlaState(ticket, now = Date.now()) {
+    if (ticket.resolvedAt) return null;
+    const priority = getPriority(ticket.priority);
+    const created = new Date(ticket.dateCreated).getTime();
+    const target = ticket.firstResponseAt ? 'resolution' : 'firstResponse';
+    const hours = target === 'firstResponse' ? priority.firstResponseHours : priority.resolutionHours;
+    const dueAt = created + hours * HOUR;
+    return { target, hours, dueAt, remainingMs: dueAt - now, breached: dueAt <= now };
+}
+
+// Sort key for "SLA due": breached tickets first (most overdue at the top), resolved tickets last.
+export function getSlaSortValue(ticket, now = Date.now()) {
+    const state = getSlaState(ticket, now);
+    return state ? state.remainingMs : Infinity;
+}
+
+// SLA timestamps to record alongside a status change.
+export function getSlaUpdatesForStatus(ticket, newStatus, now = new Date().toISOString()) {
+    const updates = {};
+    if (!ticket.firstResponseAt && newStatus !== 'Open') updates.firstResponseAt = now;
+    if (RESOLVED_STATUSES.includes(newStatus)) {
+        if (!ticket.resolvedAt) updates.resolvedAt = now;
+    } else if (ticket.resolvedAt) {
+        updates.resolvedAt = null;
+    }
+    return updates;
+}
+
+export function formatDuration(ms) {
+    const minutes = Math.max(1, Math.round(Math.abs(ms) / 60000));
+    const days = Math.floor(minutes / 1440);
+    const hours = Math.floor((minutes % 1440) / 60);
+    const mins = minutes % 60;
+    if (days) return `${days}d ${hours}h`;
+    if (hours) return `${hours}h ${mins}m`;
+    return `${mins}m`;
+}
+
+export function describeSla(ticket, now = Date.now()) {
+    const state = getSlaState(ticket, now);
+    if (!state) {
+        const resolutionDue = new Date(ticket.dateCreated).getTime() + getPriority(ticket.priority).resolutionHours * HOUR;
+        return new Date(ticket.resolvedAt).getTime() <= resolutionDue
+            ? { text: 'SLA met', modifier: 'met' }
+            : { text: 'SLA missed', modifier: 'missed' };
+    }
+    const label = state.target === 'firstResponse' ? 'Response' : 'Resolution';
+    if (state.breached) return { text: `${label} overdue ${formatDuration(state.remainingMs)}`, modifier: 'overdue' };
+    // Flag the last quarter of the window so agents see a breach coming.
+    const modifier = state.remainingMs < state.hours * HOUR / 4 ? 'due-soon' : 'on-track';
+    return { text: `${label} due in ${formatDuration(state.remainingMs)}`, modifier };
+}
\ No newline at end of file
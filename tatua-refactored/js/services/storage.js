@@ -1,55 +1,250 @@
 import { encryptAES, decryptAES } from './crypto.js';
+import { SCHEMA_VERSION, migrateTicket, migrateTickets } from './migrations.js';
+import { createAuditEntry, getAuditActor, sortAuditEntries } from './audit.js';
 
+// Thrown by `updateTicket` when the stored ticket no longer matches the version the caller edited.
+// `currentTicket` is the latest stored copy, or null when the ticket has since been deleted.
+export class ConflictError extends Error {
+    constructor(ticketId, expectedVersion, currentTicket) {
+        super(`Ticket ${ticketId} was changed by someone else (expected version ${expectedVersion}, found ${currentTicket ? currentTicket.version : 'none'}).`);
+        this.name = 'ConflictError';
+        this.ticketId = ticketId;
+        this.expectedVersion = expectedVersion;
+        this.currentTicket = currentTicket;
+    }
+}
+
+// Thrown by a re-encryption commit when another tab wrote to the store after it was read; nothing is written.
+export class StaleDataError extends Error {
+    constructor() {
+        super('The stored data was changed while it was being re-encrypted.');
+        this.name = 'StaleDataError';
+    }
+}
+
+// Shared update rule for all local strategies: check the expected version, then bump it.
+function applyUpdate(ticketId, currentTicket, updatedData, expectedVersion) {
+    if (expectedVersion !== undefined && (!currentTicket || currentTicket.version !== expectedVersion)) {
+        throw new ConflictError(ticketId, expectedVersion, currentTicket || null);
+    }
+    if (!currentTicket) return null;
+    return {
+        ...currentTicket,
+        ...updatedData,
+        id: currentTicket.id,
+        version: (currentTicket.version || 1) + 1,
+        updatedAt: new Date().toISOString(),
+    };
+}
+
+// Shared rule for `putTicket`: a ticket written over an existing one gets a newer version, so edits started
+// against the old copy are reported as conflicts.
+function applyPut(currentTicket, ticket) {
+    return currentTicket ? { ...ticket, version: (currentTicket.version || 1) + 1 } : ticket;
+}
+
+// Runs a read-modify-write under a Web Lock so other tabs cannot interleave their own writes.
+function withLock(name, task) {
+    return navigator.locks ? navigator.locks.request(name, task) : task();
+}
+
+// Every strategy method returns a Promise so synchronous and asynchronous backends are interchangeable.
+// `updateTicket` resolves to the updated ticket and rejects with ConflictError when `expectedVersion` is stale.
+// `putTicket` writes a whole ticket in place of the one with the same ID (audited as an update), or adds it.
+// Strategies that encrypt at rest also implement `prepareReencryption(recrypt)`, used when the passphrase changes:
+// it converts everything in memory and resolves to `{ commit, rollback }`, which write the new or the original data.
+// Every save, update and delete appends an audit entry (see audit.js), readable with `getAuditEntries`.
+// `importAuditEntries` adds entries from elsewhere (a backup) that the trail does not hold yet. Strategies whose
+// backend keeps the trail itself set `keepsOwnAuditTrail` and cannot take entries from elsewhere.
+// Saved views (see views.js) are kept next to the tickets and always read and written as a whole list.
 class StorageStrategy {
-    getTickets() { throw new Error("getTickets() must be implemented"); }
-    saveTicket(ticket) { throw new Error("saveTicket() must be implemented"); }
-    getTicket(ticketId) { throw new Error("getTicket() must be implemented"); }
-    deleteTicket(ticketId) { throw new Error("deleteTicket() must be implemented"); }
-    updateTicket(ticketId, data) { throw new Error("updateTicket() must be implemented"); }
+    async getTickets() { throw new Error("getTickets() must be implemented"); }
+    async saveTicket(ticket) { throw new Error("saveTicket() must be implemented"); }
+    async getTicket(ticketId) { throw new Error("getTicket() must be implemented"); }
+    async deleteTicket(ticketId) { throw new Error("deleteTicket() must be implemented"); }
+    async updateTicket(ticketId, data, { expectedVersion } = {}) { throw new Error("updateTicket() must be implemented"); }
+    async putTicket(ticket) { throw new Error("putTicket() must be implemented"); }
+    async getAuditEntries(ticketId) { throw new Error("getAuditEntries() must be implemented"); }
+    async appendAuditEntry(entry) { throw new Error("appendAuditEntry() must be implemented"); }
+    async recordAudit(action, before, after) { await this.appendAuditEntry(createAuditEntry(action, before, after)); }
+    async importAuditEntries(entries) {
+        const existingIds = new Set();
+        for (const ticketId of new Set(entries.map(entry => entry.ticketId))) {
+            (await this.getAuditEntries(ticketId)).forEach(entry => existingIds.add(entry.id));
+        }
+        for (const entry of entries) {
+            if (!existingIds.has(entry.id)) await this.appendAuditEntry(entry);
+        }
+    }
+    async getViews() { throw new Error("getViews() must be implemented"); }
+    async saveViews(views) { throw new Error("saveViews() must be implemented"); }
 }
 
 export class MemoryStorage extends StorageStrategy {
-    constructor() { super(); this.tickets = []; }
-    getTickets() { return [...this.tickets]; }
-    saveTicket(ticket) { this.tickets.unshift(ticket); }
-    getTicket(ticketId) { return this.tickets.find(t => t.id === ticketId); }
-    deleteTicket(ticketId) { this.tickets = this.tickets.filter(t => t.id !== ticketId); }
-    updateTicket(ticketId, updatedData) {
+    constructor() { super(); this.tickets = []; this.auditEntries = []; this.views = []; }
+    async getTickets() { return [...this.tickets]; }
+    async saveTicket(ticket) {
+        this.tickets.unshift(ticket);
+        await this.recordAudit('created', null, ticket);
+    }
+    async getTicket(ticketId) { return this.tickets.find(t => t.id === ticketId); }
+    async deleteTicket(ticketId) {
+        const ticket = this.tickets.find(t => t.id === ticketId);
+        this.tickets = this.tickets.filter(t => t.id !== ticketId);
+        if (ticket) await this.recordAudit('deleted', ticket, null);
+    }
+    async updateTicket(ticketId, updatedData, { expectedVersion } = {}) {
         const index = this.tickets.findIndex(t => t.id === ticketId);
-        if (index !== -1) this.tickets[index] = { ...this.tickets[index], ...updatedData };
+        const current = this.tickets[index];
+        const updated = applyUpdate(ticketId, current, updatedData, expectedVersion);
+        if (updated) {
+            this.tickets[index] = updated;
+            await this.recordAudit('updated', current, updated);
+        }
+        return updated;
+    }
+    async putTicket(ticket) {
+        const index = this.tickets.findIndex(t => t.id === ticket.id);
+        if (index === -1) return this.saveTicket(ticket);
+        const current = this.tickets[index];
+        this.tickets[index] = applyPut(current, ticket);
+        await this.recordAudit('updated', current, this.tickets[index]);
     }
+    async getAuditEntries(ticketId) { return sortAuditEntries(this.auditEntries.filter(e => e.ticketId === ticketId)); }
+    async appendAuditEntry(entry) { this.auditEntries.push(entry); }
+    async getViews() { return [...this.views]; }
+    async saveViews(views) { this.views = [...views]; }
 }
 
+// Data is stored as an encrypted `{ schemaVersion, tickets }` envelope; a bare array is schema v1.
+// The audit trail and the saved views are separate encrypted arrays, so reading tickets never has to decrypt them.
 class PersistentStorage extends StorageStrategy {
-    constructor(storage, key) { super(); this.storage = storage; this.storageKey = key; }
-    getTickets() {
-        const stored = this.storage.getItem(this.storageKey);
-        if (!stored) return [];
+    constructor(storage, key) {
+        super();
+        this.storage = storage;
+        this.storageKey = key;
+        this.auditKey = `${key}_audit`;
+        this.viewsKey = `${key}_views`;
+    }
+    // Rejects with DecryptionError rather than returning an empty list, so unreadable data is never overwritten.
+    async parseStored(stored) {
+        if (!stored) return { version: SCHEMA_VERSION, tickets: [] };
+        const data = JSON.parse(await decryptAES(stored));
+        return Array.isArray(data) ? { version: 1, tickets: data } : { version: data.schemaVersion, tickets: data.tickets };
+    }
+    async getTickets() {
+        const { version, tickets } = await this.parseStored(this.storage.getItem(this.storageKey));
+        if (version === SCHEMA_VERSION) return tickets;
+        // Throws SchemaVersionError for data written by a newer app, so it is never overwritten.
+        const migrated = migrateTickets(tickets, version);
+        await this.saveToStorage(migrated);
+        return migrated;
+    }
+    async saveToStorage(tickets) {
+        const data = { schemaVersion: SCHEMA_VERSION, tickets };
+        this.storage.setItem(this.storageKey, await encryptAES(JSON.stringify(data)));
+    }
+    // The audit log shares the storage quota with the tickets, so its write is the likely one to fail. The previous
+    // tickets are then put back, so a failed call has saved nothing and can simply be retried.
+    async saveWithAudit(tickets, action, before, after) {
+        const previous = this.storage.getItem(this.storageKey);
+        await this.saveToStorage(tickets);
         try {
-            return JSON.parse(decryptAES(stored));
+            await this.recordAudit(action, before, after);
         } catch (e) {
-            console.error('Failed to parse tickets:', e);
-            return [];
+            if (previous === null) this.storage.removeItem(this.storageKey);
+            else this.storage.setItem(this.storageKey, previous);
+            throw e;
+        }
+    }
+    async prepareReencryption(recrypt) {
+        const original = await withLock(this.storageKey, async () => new Map(
+            [this.storageKey, this.auditKey, this.viewsKey].map(key => [key, this.storage.getItem(key)]),
+        ));
+        const updated = new Map();
+        for (const [key, stored] of original) {
+            if (!stored) continue;
+            const recrypted = await recrypt(stored);
+            if (recrypted !== stored) updated.set(key, recrypted);
         }
+        // Nothing is written if another tab has changed the data since it was read; its copy is newer.
+        // A write that fails part-way (e.g. over quota) puts back the keys already written.
+        const write = (values, expected) => withLock(this.storageKey, async () => {
+            const keys = [...updated.keys()];
+            if (keys.some(key => this.storage.getItem(key) !== expected.get(key))) throw new StaleDataError();
+            try {
+                keys.forEach(key => this.storage.setItem(key, values.get(key)));
+            } catch (e) {
+                keys.forEach(key => this.storage.setItem(key, expected.get(key)));
+                throw e;
+            }
+        });
+        return { commit: () => write(updated, original), rollback: () => write(original, updated) };
     }
-    saveToStorage(tickets) { this.storage.setItem(this.storageKey, encryptAES(JSON.stringify(tickets))); }
-    saveTicket(ticket) {
-        const tickets = this.getTickets();
-        tickets.unshift(ticket);
-        this.saveToStorage(tickets);
+    async saveTicket(ticket) {
+        await withLock(this.storageKey, async () => {
+            const tickets = await this.getTickets();
+            tickets.unshift(ticket);
+            await this.saveWithAudit(tickets, 'created', null, ticket);
+        });
     }
-    getTicket(ticketId) { return this.getTickets().find(t => t.id === ticketId); }
-    deleteTicket(ticketId) {
-        const tickets = this.getTickets().filter(t => t.id !== ticketId);
-        this.saveToStorage(tickets);
+    async getTicket(ticketId) { return (await this.getTickets()).find(t => t.id === ticketId); }
+    async deleteTicket(ticketId) {
+        await withLock(this.storageKey, async () => {
+            const tickets = await this.getTickets();
+            const ticket = tickets.find(t => t.id === ticketId);
+            if (ticket) await this.saveWithAudit(tickets.filter(t => t.id !== ticketId), 'deleted', ticket, null);
+        });
     }
-    updateTicket(ticketId, updatedData) {
-        const tickets = this.getTickets();
-        const index = tickets.findIndex(t => t.id === ticketId);
-        if (index !== -1) {
-            tickets[index] = { ...tickets[index], ...updatedData };
-            this.saveToStorage(tickets);
-        }
+    async updateTicket(ticketId, updatedData, { expectedVersion } = {}) {
+        return withLock(this.storageKey, async () => {
+            const tickets = await this.getTickets();
+            const index = tickets.findIndex(t => t.id === ticketId);
+            const current = tickets[index];
+            const updated = applyUpdate(ticketId, current, updatedData, expectedVersion);
+            if (updated) {
+                tickets[index] = updated;
+                await this.saveWithAudit(tickets, 'updated', current, updated);
+            }
+            return updated;
+        });
+    }
+    async putTicket(ticket) {
+        await withLock(this.storageKey, async () => {
+            const tickets = await this.getTickets();
+            const index = tickets.findIndex(t => t.id === ticket.id);
+            const current = tickets[index];
+            if (current) tickets[index] = applyPut(current, ticket);
+            else tickets.unshift(ticket);
+            await this.saveWithAudit(tickets, current ? 'updated' : 'created', current || null, current ? tickets[index] : ticket);
+        });
+    }
+    async readAuditLog() {
+        const stored = this.storage.getItem(this.auditKey);
+        return stored ? JSON.parse(await decryptAES(stored)) : [];
+    }
+    async getAuditEntries(ticketId) { return (await this.readAuditLog()).filter(e => e.ticketId === ticketId); }
+    // Only called from the write methods above, which already hold the lock for this store.
+    async appendAuditEntry(entry) {
+        const entries = await this.readAuditLog();
+        entries.push(entry);
+        this.storage.setItem(this.auditKey, await encryptAES(JSON.stringify(entries)));
+    }
+    async importAuditEntries(entries) {
+        await withLock(this.storageKey, async () => {
+            const log = await this.readAuditLog();
+            const existingIds = new Set(log.map(entry => entry.id));
+            const missing = entries.filter(entry => !existingIds.has(entry.id));
+            // Imported entries are older than the ones already recorded, so the log is kept in time order.
+            if (missing.length > 0) this.storage.setItem(this.auditKey, await encryptAES(JSON.stringify(sortAuditEntries([...log, ...missing]))));
+        });
+    }
+    async getViews() {
+        const stored = this.storage.getItem(this.viewsKey);
+        return stored ? JSON.parse(await decryptAES(stored)) : [];
+    }
+    async saveViews(views) {
+        this.storage.setItem(this.viewsKey, await encryptAES(JSON.stringify(views)));
     }
 }
 
@@ -57,6 +252,343 @@ export class SessionStorage extends PersistentStorage {
     constructor() { super(sessionStorage, 'tatua_tickets_session_aes'); }
 }
 
+// Compares two snapshots of the same store and lists what was created, updated or deleted.
+function diffTickets(before, after) {
+    const previous = new Map(before.map(t => [t.id, t]));
+    const current = new Map(after.map(t => [t.id, t]));
+    const changes = [];
+    current.forEach((ticket, id) => {
+        if (!previous.has(id)) changes.push({ type: 'created', ticket });
+        else if (JSON.stringify(previous.get(id)) !== JSON.stringify(ticket)) changes.push({ type: 'updated', ticket });
+    });
+    previous.forEach((ticket, id) => {
+        if (!current.has(id)) changes.push({ type: 'deleted', ticket });
+    });
+    return changes;
+}
+
+// localStorage is shared by every tab, so writes from other tabs are reported to subscribers through `storage` events.
 export class LocalStorage extends PersistentStorage {
-    constructor() { super(localStorage, 'tatua_tickets_local_aes'); }
-}
\ No newline at end of file
+    constructor() {
+        super(localStorage, 'tatua_tickets_local_aes');
+        this.listeners = new Set();
+        window.addEventListener('storage', (e) => this.handleStorageEvent(e));
+    }
+    subscribe(listener) {
+        this.listeners.add(listener);
+        return () => this.listeners.delete(listener);
+    }
+    async handleStorageEvent(event) {
+        if (event.storageArea !== this.storage || event.key !== this.storageKey) return;
+        const snapshot = async (stored) => {
+            const { version, tickets } = await this.parseStored(stored);
+            return migrateTickets(tickets, version);
+        };
+        try {
+            const changes = diffTickets(await snapshot(event.oldValue), await snapshot(event.newValue));
+            if (changes.length > 0) this.listeners.forEach(listener => listener(changes));
+        } catch (e) {
+            console.error('Failed to process a change from another tab:', e);
+        }
+    }
+}
+
+const IDB_NAME = 'tatua_tickets_idb';
+const IDB_VERSION = 4;
+const IDB_TICKET_STORE = 'tickets';
+const IDB_META_STORE = 'meta';
+const IDB_AUDIT_STORE = 'audit';
+const IDB_VIEWS_KEY = 'views';
+
+function promisifyRequest(request) {
+    return new Promise((resolve, reject) => {
+        request.onsuccess = () => resolve(request.result);
+        request.onerror = () => reject(request.error);
+    });
+}
+
+function completeTransaction(transaction) {
+    return new Promise((resolve, reject) => {
+        transaction.oncomplete = resolve;
+        transaction.onerror = () => reject(transaction.error);
+        transaction.onabort = () => reject(transaction.error);
+    });
+}
+
+export class IndexedDBStorage extends StorageStrategy {
+    constructor() { super(); this.dbPromise = null; this.readyPromise = null; }
+    // Opens the database and applies structural upgrades only; see `getDatabase` for data migrations.
+    openDatabase() {
+        if (!this.dbPromise) {
+            const request = indexedDB.open(IDB_NAME, IDB_VERSION);
+            request.onupgradeneeded = (event) => {
+                const db = request.result;
+                if (event.oldVersion < 1) {
+                    db.createObjectStore(IDB_TICKET_STORE, { keyPath: 'id' }).createIndex('dateCreated', 'dateCreated');
+                }
+                if (event.oldVersion < 2) db.createObjectStore(IDB_META_STORE, { keyPath: 'key' });
+                if (event.oldVersion < 3) {
+                    db.createObjectStore(IDB_AUDIT_STORE, { keyPath: 'id' }).createIndex('ticketId', 'ticketId');
+                }
+                if (event.oldVersion < 4) {
+                    // Email and status used to be indexed in the clear; they now only live in the encrypted payload.
+                    const store = request.transaction.objectStore(IDB_TICKET_STORE);
+                    ['email', 'status'].forEach(name => store.indexNames.contains(name) && store.deleteIndex(name));
+                    store.openCursor().onsuccess = (e) => {
+                        const cursor = e.target.result;
+                        if (!cursor) return;
+                        const { email, status, ...record } = cursor.value;
+                        cursor.update(record);
+                        cursor.continue();
+                    };
+                }
+            };
+            this.dbPromise = promisifyRequest(request).catch(e => {
+                this.dbPromise = null;
+                throw e;
+            });
+        }
+        return this.dbPromise;
+    }
+    getDatabase() {
+        if (!this.readyPromise) {
+            this.readyPromise = this.openDatabase()
+                .then(db => this.migrateData(db).then(() => db))
+                .catch(e => {
+                    this.readyPromise = null;
+                    throw e;
+                });
+        }
+        return this.readyPromise;
+    }
+    // Upgrades ticket records to SCHEMA_VERSION; this is separate from the IndexedDB version, which only covers stores and indexes.
+    async migrateData(db) {
+        const readTransaction = db.transaction([IDB_TICKET_STORE, IDB_META_STORE]);
+        const versionRecord = await promisifyRequest(readTransaction.objectStore(IDB_META_STORE).get('schemaVersion'));
+        const version = versionRecord ? versionRecord.value : 1;
+        if (version === SCHEMA_VERSION) return;
+        const records = await promisifyRequest(readTransaction.objectStore(IDB_TICKET_STORE).getAll());
+        const migrated = migrateTickets(await Promise.all(records.map(record => this.fromRecord(record))), version);
+        const updatedRecords = await Promise.all(migrated.map(ticket => this.toRecord(ticket)));
+        const transaction = db.transaction([IDB_TICKET_STORE, IDB_META_STORE], 'readwrite');
+        updatedRecords.forEach(record => transaction.objectStore(IDB_TICKET_STORE).put(record));
+        transaction.objectStore(IDB_META_STORE).put({ key: 'schemaVersion', value: SCHEMA_VERSION });
+        await completeTransaction(transaction);
+    }
+    async getStore(mode = 'readonly', storeName = IDB_TICKET_STORE) {
+        const db = await this.getDatabase();
+        return db.transaction(storeName, mode).objectStore(storeName);
+    }
+    async toRecord(ticket) {
+        // Only the key and the creation date stay in the clear; the full ticket is encrypted like the other persistent stores.
+        return {
+            id: ticket.id,
+            dateCreated: ticket.dateCreated,
+            payload: await encryptAES(JSON.stringify(ticket)),
+        };
+    }
+    async prepareReencryption(recrypt) {
+        // Works on raw records, without data migrations, because the records may still be under the old key.
+        // Encryption is asynchronous, so it runs between the read and write transactions rather than inside one;
+        // the writes then go through a single transaction, so a failure leaves every record as it was.
+        const db = await this.openDatabase();
+        const storeNames = [IDB_TICKET_STORE, IDB_AUDIT_STORE, IDB_META_STORE];
+        const original = await withLock(IDB_NAME, async () => {
+            const transaction = db.transaction(storeNames);
+            const [tickets, audit, views] = await Promise.all([
+                promisifyRequest(transaction.objectStore(IDB_TICKET_STORE).getAll()),
+                promisifyRequest(transaction.objectStore(IDB_AUDIT_STORE).getAll()),
+                promisifyRequest(transaction.objectStore(IDB_META_STORE).get(IDB_VIEWS_KEY)),
+            ]);
+            return [
+                ...tickets.map(record => [IDB_TICKET_STORE, record]),
+                ...audit.map(record => [IDB_AUDIT_STORE, record]),
+                ...(views ? [[IDB_META_STORE, views]] : []),
+            ];
+        });
+        const changed = [];
+        const updated = [];
+        for (const [storeName, record] of original) {
+            const payload = await recrypt(record.payload);
+            if (payload === record.payload) continue;
+            changed.push([storeName, record]);
+            updated.push([storeName, { ...record, payload }]);
+        }
+        const write = (records, expected) => withLock(IDB_NAME, async () => {
+            if (records.length === 0) return;
+            const transaction = db.transaction(storeNames, 'readwrite');
+            const stored = await Promise.all(expected.map(([storeName, record]) => {
+                const store = transaction.objectStore(storeName);
+                return promisifyRequest(store.get(record[store.keyPath]));
+            }));
+            if (stored.some((record, i) => record?.payload !== expected[i][1].payload)) {
+                transaction.abort();
+                throw new StaleDataError();
+            }
+            records.forEach(([storeName, record]) => transaction.objectStore(storeName).put(record));
+            await completeTransaction(transaction);
+        });
+        return { commit: () => write(updated, changed), rollback: () => write(changed, updated) };
+    }
+    // Rejects with DecryptionError when a record was tampered with, instead of silently dropping it.
+    async fromRecord(record) {
+        return JSON.parse(await decryptAES(record.payload));
+    }
+    async getTickets() {
+        const store = await this.getStore();
+        // Read from the store rather than the dateCreated index, which leaves out records without that field.
+        const records = await promisifyRequest(store.getAll());
+        records.sort((a, b) => String(b.dateCreated ?? '').localeCompare(String(a.dateCreated ?? '')));
+        return Promise.all(records.map(record => this.fromRecord(record)));
+    }
+    // Every write takes the same Web Lock as the read-modify-writes below, so none of them lands in between.
+    async saveTicket(ticket) {
+        const record = await this.toRecord(ticket);
+        await withLock(IDB_NAME, async () => {
+            await promisifyRequest((await this.getStore('readwrite')).put(record));
+            await this.recordAudit('created', null, ticket);
+        });
+    }
+    async getTicket(ticketId) {
+        const store = await this.getStore();
+        const record = await promisifyRequest(store.get(ticketId));
+        return record ? this.fromRecord(record) : undefined;
+    }
+    async deleteTicket(ticketId) {
+        await withLock(IDB_NAME, async () => {
+            const store = await this.getStore('readwrite');
+            // The record is read in the same transaction as the delete, so only a delete that removed something is audited.
+            // It is decrypted once the delete is done, since awaiting inside the transaction would let it auto-commit.
+            const record = await promisifyRequest(store.get(ticketId));
+            await promisifyRequest(store.delete(ticketId));
+            if (record) await this.recordAudit('deleted', await this.fromRecord(record), null);
+        });
+    }
+    async updateTicket(ticketId, updatedData, { expectedVersion } = {}) {
+        // Decryption is asynchronous and would let a single transaction auto-commit between the read and the
+        // write, so the read-modify-write is serialised with a Web Lock instead.
+        return withLock(IDB_NAME, async () => {
+            const record = await promisifyRequest((await this.getStore()).get(ticketId));
+            const current = record && await this.fromRecord(record);
+            const updated = applyUpdate(ticketId, current, updatedData, expectedVersion);
+            if (updated) {
+                const updatedRecord = await this.toRecord(updated);
+                await promisifyRequest((await this.getStore('readwrite')).put(updatedRecord));
+                await this.recordAudit('updated', current, updated);
+            }
+            return updated;
+        });
+    }
+    async putTicket(ticket) {
+        return withLock(IDB_NAME, async () => {
+            const record = await promisifyRequest((await this.getStore()).get(ticket.id));
+            const current = record && await this.fromRecord(record);
+            const stored = applyPut(current, ticket);
+            const storedRecord = await this.toRecord(stored);
+            await promisifyRequest((await this.getStore('readwrite')).put(storedRecord));
+            await this.recordAudit(current ? 'updated' : 'created', current || null, stored);
+        });
+    }
+    async getAuditEntries(ticketId) {
+        const store = await this.getStore('readonly', IDB_AUDIT_STORE);
+        const records = await promisifyRequest(store.index('ticketId').getAll(ticketId));
+        return sortAuditEntries(await Promise.all(records.map(record => this.fromRecord(record))));
+    }
+    async appendAuditEntry(entry) {
+        // Like tickets, only the lookup fields are in the clear; old and new values hold customer details.
+        const record = { id: entry.id, ticketId: entry.ticketId, at: entry.at, payload: await encryptAES(JSON.stringify(entry)) };
+        await promisifyRequest((await this.getStore('readwrite', IDB_AUDIT_STORE)).put(record));
+    }
+    // The views are one encrypted record in the meta store, next to the schema version.
+    async getViews() {
+        const record = await promisifyRequest((await this.getStore('readonly', IDB_META_STORE)).get(IDB_VIEWS_KEY));
+        return record ? this.fromRecord(record) : [];
+    }
+    async saveViews(views) {
+        const record = { key: IDB_VIEWS_KEY, payload: await encryptAES(JSON.stringify(views)) };
+        await promisifyRequest((await this.getStore('readwrite', IDB_META_STORE)).put(record));
+    }
+}
+
+// The shared backend is a setting of this browser rather than part of the page URL, which is shared as a link, so a
+// link can never send this browser's tickets to another host. Backups leave it out for the same reason.
+export const REMOTE_API_URL_STORAGE_KEY = 'tatua_remote_api_url';
+const DEFAULT_REMOTE_API_URL = 'http://localhost:3001';
+const getRemoteApiUrl = () => localStorage.getItem(REMOTE_API_URL_STORAGE_KEY) || DEFAULT_REMOTE_API_URL;
+// The format of `generateTicketId`. The server refuses other IDs; tickets that still have one are not shown.
+const REMOTE_TICKET_ID_PATTERN = /^[A-Z0-9-]+$/;
+const hasValidId = ticket => typeof ticket?.id === 'string' && REMOTE_TICKET_ID_PATTERN.test(ticket.id);
+
+// Talks to a shared REST backend (see server/mock-server.mjs). Encryption is left to the server, which
+// stores no schema version, so every migration is replayed on the tickets it returns.
+// The server keeps the audit trail itself, attributing each write to the agent named in `X-Actor`.
+export class RemoteStorage extends StorageStrategy {
+    constructor(baseUrl = getRemoteApiUrl()) {
+        super();
+        this.baseUrl = baseUrl.replace(/\/+$/, '');
+        this.keepsOwnAuditTrail = true;
+    }
+    async request(path, options = {}) {
+        const response = await fetch(`${this.baseUrl}${path}`, {
+            ...options,
+            headers: { 'Content-Type': 'application/json', 'X-Actor': encodeURIComponent(getAuditActor()), ...options.headers },
+        });
+        if (!response.ok) {
+            const body = await response.json().catch(() => ({}));
+            const error = new Error(body.error || `${options.method || 'GET'} ${path} failed with status ${response.status}`);
+            error.status = response.status;
+            error.body = body;
+            throw error;
+        }
+        return response.status === 204 ? null : response.json();
+    }
+    ticketPath(ticketId) { return `/tickets/${encodeURIComponent(ticketId)}`; }
+    async getTickets() {
+        const tickets = await this.request('/tickets');
+        const valid = tickets.filter(hasValidId);
+        if (valid.length < tickets.length) console.warn(`Ignored ${tickets.length - valid.length} remote ticket(s) with an invalid ID`);
+        return migrateTickets(valid, 1);
+    }
+    async saveTicket(ticket) {
+        await this.request('/tickets', { method: 'POST', body: JSON.stringify(ticket) });
+    }
+    async getTicket(ticketId) {
+        try {
+            return migrateTicket(await this.request(this.ticketPath(ticketId)), 1);
+        } catch (e) {
+            if (e.status === 404) return undefined;
+            throw e;
+        }
+    }
+    async deleteTicket(ticketId) {
+        await this.request(this.ticketPath(ticketId), { method: 'DELETE' });
+    }
+    async putTicket(ticket) {
+        await this.request(this.ticketPath(ticket.id), { method: 'PUT', body: JSON.stringify(ticket) });
+    }
+    async getAuditEntries(ticketId) { return this.request(`${this.ticketPath(ticketId)}/audit`); }
+    async appendAuditEntry() { throw new Error('The server records the audit trail for remote storage'); }
+    async importAuditEntries() { throw new Error('The server records the audit trail for remote storage'); }
+    async getViews() { return this.request('/views'); }
+    async saveViews(views) {
+        await this.request('/views', { method: 'PUT', body: JSON.stringify(views) });
+    }
+    // The server checks `If-Match` against the ticket version and answers 409 with the current ticket on a mismatch.
+    async updateTicket(ticketId, updatedData, { expectedVersion } = {}) {
+        try {
+            const updated = await this.request(this.ticketPath(ticketId), {
+                method: 'PATCH',
+                headers: expectedVersion !== undefined ? { 'If-Match': `"${expectedVersion}"` } : {},
+                body: JSON.stringify(updatedData),
+            });
+            return migrateTicket(updated, 1);
+        } catch (e) {
+            if (e.status === 409 || (e.status === 404 && expectedVersion !== undefined)) {
+                const current = e.body?.ticket ? migrateTicket(e.body.ticket, 1) : null;
+                throw new ConflictError(ticketId, expectedVersion, current);
+            }
+            if (e.status === 404) return null;
+            throw e;
+        }
+    }
+}
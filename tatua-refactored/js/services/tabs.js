@@ -0,0 +1,31 @@
+// Finds out whether the app is open in other tabs of this browser. Tabs share localStorage and IndexedDB but each
+// has its own sessionStorage, which only that tab can read or re-encrypt.
+const CHANNEL_NAME = 'tatua_tabs';
+const REPLY_TIMEOUT_MS = 300;
+
+let channel = null;
+
+// Answers presence checks from other tabs; called once when the app starts.
+export function listenForOtherTabs() {
+    if (channel || typeof BroadcastChannel === 'undefined') return;
+    channel = new BroadcastChannel(CHANNEL_NAME);
+    channel.addEventListener('message', (e) => {
+        if (e.data?.type === 'ping') channel.postMessage({ type: 'pong', pingId: e.data.pingId });
+    });
+}
+
+// Resolves to the number of other tabs that answered within REPLY_TIMEOUT_MS.
+export function countOtherTabs() {
+    if (!channel) return Promise.resolve(0);
+    const pingId = `${Date.now().toString(36)}-${Math.random().toString(36).substr(2, 5)}`;
+    let count = 0;
+    const onMessage = (e) => {
+        if (e.data?.type === 'pong' && e.data.pingId === pingId) count++;
+    };
+    channel.addEventListener('message', onMessage);
+    channel.postMessage({ type: 'ping', pingId });
+    return new Promise(resolve => setTimeout(() => {
+        channel.removeEventListener('message', onMessage);
+        resolve(count);
+    }, REPLY_TIMEOUT_MS));
+}
\ No newline at end of file
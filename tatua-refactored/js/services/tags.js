@@ -0,0 +1,13 @@
+// Free-form labels on tickets (e.g. "spam", "billing"). Tags are stored lower-case so the same label typed
+// differently is not kept twice.
+export const normalizeTag = tag => tag.trim().toLowerCase().replace(/\s+/g, '-');
+
+export function addTag(tags = [], tag) {
+    const normalized = normalizeTag(tag);
+    return !normalized || tags.includes(normalized) ? tags : [...tags, normalized].sort();
+}
+
+export function removeTag(tags = [], tag) {
+    const normalized = normalizeTag(tag);
+    return tags.includes(normalized) ? tags.filter(t => t !== normalized) : tags;
+}
\ No newline at end of file
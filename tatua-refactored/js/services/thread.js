@@ -0,0 +1,37 @@
+// Conversation history of a ticket. `ticket.messages` is ordered oldest first and always starts with the
+// customer's original message, which is kept in sync with `ticket.message` (still used by the table and filters).
+export const MESSAGE_TYPES = {
+    customer: { label: 'Customer' },
+    reply: { label: 'Reply' },
+    note: { label: 'Internal note' },
+};
+
+function generateMessageId() {
+    return `MSG-${Date.now().toString(36)}-${Math.random().toString(36).substr(2, 5)}`.toUpperCase();
+}
+
+export function createMessage(type, body, author, createdAt = new Date().toISOString()) {
+    if (!MESSAGE_TYPES[type]) throw new Error(`Unknown message type: ${type}`);
+    return { id: generateMessageId(), type, author, body, createdAt };
+}
+
+// The id is derived from the ticket so rebuilding the entry (e.g. by a migration replayed on every read) is stable.
+export function createOriginalMessage(ticket) {
+    return { id: `${ticket.id}-MSG-0`, type: 'customer', author: ticket.fullName, body: ticket.message, createdAt: ticket.dateCreated };
+}
+
+export function getThread(ticket) {
+    return ticket.messages?.length ? ticket.messages : [createOriginalMessage(ticket)];
+}
+
+// Editing the ticket's message rewrites the first entry of the thread; the replies after it are left untouched.
+export function syncOriginalMessage(ticket, message) {
+    const thread = getThread(ticket);
+    const [original, ...rest] = thread;
+    return original.body === message ? thread : [{ ...original, body: message }, ...rest];
+}
+
+// Replies visible to the customer count as the first response for SLA purposes; internal notes do not.
+export function isCustomerFacing(message) {
+    return message.type === 'reply';
+}
\ No newline at end of file
@@ -1,46 +1,88 @@
 import { dom } from '../components/dom.js';
+import { WORKFLOW, STATUSES, getAvailableTransitions, getStatusOrder, getStatusBadge } from './workflow.js';
+import { PRIORITIES, DEFAULT_PRIORITY, getPriority, getPriorityRank, getSlaSortValue, describeSla, getSlaUpdatesForStatus } from './sla.js';
+import { getAgents } from './agents.js';
+import { getContacts } from './contacts.js';
+import { MESSAGE_TYPES, createOriginalMessage, getThread } from './thread.js';
+import { getPurgeDate } from './trash.js';
+import { EXPORT_COLUMNS } from './export.js';
+import { IMPORT_FIELDS } from './import.js';
+import { WORD_PATTERN } from './search.js';
+import { QUERY_OPERATORS, SORT_COLUMNS, FILTER_COLUMNS, RELATIONS, getColumnType, getRelationsForType, createQueryGroup, isQueryGroup, toQuery, matchesQuery } from './query.js';
 
 function escapeHtml(text) {
     return text ? text.toString().replace(/&/g, "&amp;").replace(/</g, "&lt;").replace(/>/g, "&gt;").replace(/"/g, "&quot;").replace(/'/g, "&#039;") : "";
 }
 
+export function generateTicketId() {
+    return `TKT-${Date.now().toString(36)}-${Math.random().toString(36).substr(2, 5)}`.toUpperCase();
+}
+
+/**
+ * Builds a new ticket with every bookkeeping field set. Used by the form and the import screen.
+ * @param {object} fields The values entered for the ticket; optional ones (status, assignee, tags...) fall back to defaults.
+ */
+export function createTicket(fields, attachmentData = null) {
+    const now = new Date().toISOString();
+    const ticket = {
+        id: generateTicketId(),
+        fullName: fields.fullName.trim(),
+        email: fields.email.trim(),
+        phone: fields.phone.trim(),
+        subject: fields.subject,
+        message: fields.message.trim(),
+        contact: fields.contact,
+        priority: fields.priority || DEFAULT_PRIORITY,
+        attachmentName: fields.attachmentName || null,
+        attachmentData: attachmentData,
+        dateCreated: fields.dateCreated || now,
+        status: fields.status || WORKFLOW.initialStatus,
+        version: 1,
+        updatedAt: now,
+        assignee: fields.assignee || null,
+        tags: fields.tags || [],
+    };
+    // Imported tickets can start past Open: keep the SLA timestamps they came with and fill in the ones their status implies.
+    ['firstResponseAt', 'resolvedAt'].forEach(field => {
+        if (fields[field]) ticket[field] = fields[field];
+    });
+    Object.assign(ticket, getSlaUpdatesForStatus(ticket, ticket.status, now));
+    ticket.messages = [createOriginalMessage(ticket)];
+    return ticket;
+}
+
 export function createTicketFromForm(formData, attachmentData) {
-    return {
-        id: `TKT-${Date.now().toString(36)}-${Math.random().toString(36).substr(2, 5)}`.toUpperCase(),
-        fullName: formData.get('fullName').trim(),
-        email: formData.get('email').trim(),
-        phone: formData.get('phone').trim(),
+    return createTicket({
+        fullName: formData.get('fullName'),
+        email: formData.get('email'),
+        phone: formData.get('phone'),
         subject: formData.get('subject'),
-        message: formData.get('message').trim(),
+        message: formData.get('message'),
         contact: formData.get('contact'),
-        attachmentName: formData.get('attachment').name || null,
-        attachmentData: attachmentData,
-        dateCreated: new Date().toISOString(),
-        status: 'Open'
-    };
+        priority: formData.get('priority'),
+        attachmentName: formData.get('attachment').name,
+    }, attachmentData);
+}
+
+// Columns whose natural order is not their string value.
+const SORT_ACCESSORS = {
+    status: ticket => getStatusOrder(ticket.status),
+    priority: ticket => getPriorityRank(ticket.priority),
+    sla: ticket => getSlaSortValue(ticket),
+    assignee: ticket => (ticket.assignee || '').toLowerCase(),
+};
+
+function getSortValue(ticket, column) {
+    return SORT_ACCESSORS[column] ? SORT_ACCESSORS[column](ticket) : ticket[column];
 }
 
 export function processTickets(tickets, filters, sorters) {
-    let processedTickets = [...tickets];
-    if (filters.length > 0) {
-        processedTickets = processedTickets.filter(ticket => {
-            return filters.every(filter => {
-                const ticketValue = (ticket[filter.column] || '').toString().toLowerCase();
-                const filterValue = (filter.value || '').toString().toLowerCase();
-                switch (filter.relation) {
-                    case 'equals': return ticketValue === filterValue;
-                    case 'contains': return ticketValue.includes(filterValue);
-                    case 'startsWith': return ticketValue.startsWith(filterValue);
-                    case 'endsWith': return ticketValue.endsWith(filterValue);
-                    default: return true;
-                }
-            });
-        });
-    }
+    const query = toQuery(filters);
+    const processedTickets = tickets.filter(ticket => matchesQuery(ticket, query));
 
     processedTickets.sort((a, b) => {
         for (const sorter of sorters) {
-            const valA = a[sorter.column]; const valB = b[sorter.column];
+            const valA = getSortValue(a, sorter.column); const valB = getSortValue(b, sorter.column);
             let comparison = 0;
             if (valA > valB) comparison = 1;
             else if (valA < valB) comparison = -1;
@@ -52,33 +94,177 @@ export function processTickets(tickets, filters, sorters) {
     return processedTickets;
 }
 
-export function renderTickets(tickets) {
+export function setTicketsLoading(isLoading) {
+    dom.ticketsTableContainer.classList.toggle('is-loading', isLoading);
+    dom.ticketsTableContainer.setAttribute('aria-busy', isLoading);
+}
+
+// `searchTerms` (from search.getSearchTerms) are highlighted in the rows.
+export function renderTickets(tickets, selectedIds = new Set(), searchTerms = []) {
+    dom.errorState.style.display = 'none';
     dom.ticketsTable.style.display = tickets.length === 0 ? 'none' : 'table';
     dom.emptyState.style.display = tickets.length === 0 ? 'block' : 'none';
-    dom.ticketsTableBody.innerHTML = tickets.map(renderTicketRow).join('');
+    dom.ticketsTableBody.innerHTML = tickets.map(ticket => renderTicketRow(ticket, selectedIds.has(ticket.id), searchTerms)).join('');
+    renderSelection(selectedIds, tickets.length);
+}
+
+// Syncs the row highlight, the select-all checkbox and the bulk action bar with the selection.
+export function renderSelection(selectedIds, visibleCount) {
+    dom.ticketsTableBody.querySelectorAll('.row-select').forEach(checkbox => {
+        checkbox.checked = selectedIds.has(checkbox.dataset.ticketId);
+        checkbox.closest('tr').classList.toggle('is-selected', checkbox.checked);
+    });
+    dom.selectAllTickets.checked = visibleCount > 0 && selectedIds.size === visibleCount;
+    dom.selectAllTickets.indeterminate = selectedIds.size > 0 && selectedIds.size < visibleCount;
+    dom.bulkActionBar.hidden = selectedIds.size === 0;
+    dom.bulkSelectionCount.textContent = `${selectedIds.size} selected`;
+}
+
+export function renderBulkActionOptions() {
+    dom.bulkStatusSelect.innerHTML = '<option value="">Change status&hellip;</option>' +
+        STATUSES.map(status => `<option value="${escapeHtml(status)}">${escapeHtml(status)}</option>`).join('');
+}
+
+// Updates the countdowns in place, so the remaining time stays current without reloading the list.
+export function refreshSlaTimers(tickets) {
+    const timers = new Map([...dom.ticketsTableBody.querySelectorAll('.sla-timer')].map(el => [el.dataset.ticketId, el]));
+    tickets.forEach(ticket => {
+        const timer = timers.get(ticket.id);
+        if (!timer) return;
+        const { text, modifier } = describeSla(ticket);
+        timer.textContent = text;
+        timer.className = `sla-timer sla-timer--${modifier}`;
+    });
+}
+
+export function renderTrash(tickets, retentionDays) {
+    dom.trashTable.style.display = tickets.length === 0 ? 'none' : 'table';
+    dom.trashEmptyState.style.display = tickets.length === 0 ? 'block' : 'none';
+    dom.emptyTrashBtn.disabled = tickets.length === 0;
+    dom.trashTableBody.innerHTML = tickets.map(ticket => {
+        const purgeDate = getPurgeDate(ticket, retentionDays);
+        return `
+        <tr>
+            <td class="ticket-id">${escapeHtml(ticket.id)}</td>
+            <td>${escapeHtml(ticket.fullName)}</td>
+            <td>${escapeHtml(ticket.subject)}</td>
+            <td class="ticket-date">${new Date(ticket.deletedAt).toLocaleString()}</td>
+            <td class="ticket-date">${purgeDate ? purgeDate.toLocaleDateString() : 'Never'}</td>
+            <td>
+                <div class="action-buttons">
+                    <button class="action-btn" title="Restore" data-ticket-action="restoreTicket" data-ticket-id="${escapeHtml(ticket.id)}"><svg class="icon" viewBox="0 0 20 20" fill="currentColor"><path fill-rule="evenodd" d="M7.707 3.293a1 1 0 010 1.414L5.414 7H11a7 7 0 017 7v2a1 1 0 11-2 0v-2a5 5 0 00-5-5H5.414l2.293 2.293a1 1 0 11-1.414 1.414l-4-4a1 1 0 010-1.414l4-4a1 1 0 011.414 0z" clip-rule="evenodd" /></svg></button>
+                    <button class="action-btn delete" title="Delete permanently" data-ticket-action="confirmPurge" data-ticket-id="${escapeHtml(ticket.id)}"><svg class="icon" viewBox="0 0 20 20" fill="currentColor"><path fill-rule="evenodd" d="M9 2a1 1 0 00-.894.553L7.382 4H4a1 1 0 000 2v10a2 2 0 002 2h8a2 2 0 002-2V6a1 1 0 100-2h-3.382l-.724-1.447A1 1 0 0011 2H9zM7 8a1 1 0 012 0v6a1 1 0 11-2 0V8zm5-1a1 1 0 00-1 1v6a1 1 0 102 0V8a1 1 0 00-1-1z" clip-rule="evenodd" /></svg></button>
+                </div>
+            </td>
+        </tr>`;
+    }).join('');
+}
+
+export function renderTicketsError(message) {
+    dom.ticketsTable.style.display = 'none';
+    dom.emptyState.style.display = 'none';
+    dom.errorState.style.display = 'block';
+    dom.errorStateMessage.textContent = message;
+}
+
+function renderStatusBadge(status) {
+    return `<span class="status-badge status-badge--${getStatusBadge(status)}">${escapeHtml(status)}</span>`;
+}
+
+function renderPriorityBadge(priority) {
+    const { id, badge } = getPriority(priority);
+    return `<span class="priority-badge priority-badge--${badge}">${escapeHtml(id)}</span>`;
+}
+
+function renderSlaTimer(ticket) {
+    const { text, modifier } = describeSla(ticket);
+    return `<span class="sla-timer sla-timer--${modifier}" data-ticket-id="${escapeHtml(ticket.id)}">${text}</span>`;
+}
+
+function renderAssignee(assignee) {
+    return assignee ? escapeHtml(assignee) : '<span class="unassigned">Unassigned</span>';
+}
+
+function renderTags(tags = []) {
+    return tags.length ? `<div class="tag-list">${tags.map(tag => `<span class="tag">${escapeHtml(tag)}</span>`).join('')}</div>` : '';
 }
 
-function renderTicketRow(ticket) {
+function renderStatusActions(ticket) {
+    return getAvailableTransitions(ticket.status).map(transition => `
+        <button class="btn btn--small" data-ticket-action="changeStatus" data-ticket-id="${escapeHtml(ticket.id)}" data-status="${escapeHtml(transition.to)}">${escapeHtml(transition.label)}</button>`
+    ).join('');
+}
+
+// Words that a search term is the start of, as [start, end] offsets into `text`, the same way search.js matches them.
+function findSearchMatches(text, terms) {
+    const matches = [];
+    if (terms.length === 0) return matches;
+    for (const { 0: word, index } of (text ?? '').toString().matchAll(WORD_PATTERN)) {
+        const lowerWord = word.toLowerCase();
+        const length = Math.max(0, ...terms.filter(term => lowerWord.startsWith(term)).map(term => term.length));
+        if (length > 0) matches.push([index, index + length]);
+    }
+    return matches;
+}
+
+function highlight(text, terms) {
+    const source = (text ?? '').toString();
+    let html = '';
+    let last = 0;
+    findSearchMatches(source, terms).forEach(([start, end]) => {
+        html += `${escapeHtml(source.slice(last, start))}<mark>${escapeHtml(source.slice(start, end))}</mark>`;
+        last = end;
+    });
+    return html + escapeHtml(source.slice(last));
+}
+
+const SEARCH_EXCERPT_CHARS = 40;
+
+// A ticket can match on fields the row does not show (phone, replies); show where, so the result makes sense.
+function renderSearchMatch(ticket, terms) {
+    if (terms.length === 0) return '';
+    const shown = [ticket.id, ticket.fullName, ticket.email, ticket.subject, ticket.message];
+    if (shown.some(text => findSearchMatches(text, terms).length > 0)) return '';
+    const hidden = [['Phone', ticket.phone], ...getThread(ticket).slice(1).map(entry => [MESSAGE_TYPES[entry.type]?.label || 'Reply', entry.body])];
+    for (const [label, text] of hidden) {
+        const [match] = findSearchMatches(text, terms);
+        if (!match) continue;
+        const start = Math.max(0, match[0] - SEARCH_EXCERPT_CHARS);
+        const excerpt = `${start > 0 ? '…' : ''}${text.slice(start, match[1] + SEARCH_EXCERPT_CHARS)}${match[1] + SEARCH_EXCERPT_CHARS < text.length ? '…' : ''}`;
+        return `<div class="search-match"><span class="search-match__label">${escapeHtml(label)}:</span> ${highlight(excerpt, terms)}</div>`;
+    }
+    return '';
+}
+
+function renderTicketRow(ticket, isSelected, searchTerms = []) {
     const formattedDate = new Date(ticket.dateCreated).toLocaleString();
     return `
         <tr>
-            <td class="ticket-id">${escapeHtml(ticket.id)}</td>
+            <td class="select-cell"><input type="checkbox" class="row-select" data-ticket-id="${escapeHtml(ticket.id)}" aria-label="Select ticket ${escapeHtml(ticket.id)}" ${isSelected ? 'checked' : ''}></td>
+            <td class="ticket-id">${highlight(ticket.id, searchTerms)}</td>
             <td>
-                <div class="user-name">${escapeHtml(ticket.fullName)}</div>
-                <div class="user-email">${escapeHtml(ticket.email)}</div>
+                <div class="user-name">${highlight(ticket.fullName, searchTerms)}</div>
+                <div class="user-email">${highlight(ticket.email, searchTerms)}</div>
             </td>
             <td>
-                <div class="ticket-subject">${escapeHtml(ticket.subject)}</div>
-                <div class="ticket-message">${escapeHtml(ticket.message)}</div>
+                <div class="ticket-subject">${highlight(ticket.subject, searchTerms)}</div>
+                <div class="ticket-message">${highlight(ticket.message, searchTerms)}</div>
+                ${renderSearchMatch(ticket, searchTerms)}
+                ${renderTags(ticket.tags)}
             </td>
+            <td>${renderStatusBadge(ticket.status)}</td>
+            <td><div class="priority-cell">${renderPriorityBadge(ticket.priority)}${renderSlaTimer(ticket)}</div></td>
+            <td class="ticket-assignee">${renderAssignee(ticket.assignee)}</td>
             <td class="ticket-date">${formattedDate}</td>
             <td>
                 <div class="action-buttons">
-                    <button class="action-btn" title="View" onclick="app.viewTicket('${ticket.id}')"><svg class="icon" viewBox="0 0 20 20" fill="currentColor"><path d="M10 12a2 2 0 100-4 2 2 0 000 4z" /><path fill-rule="evenodd" d="M.458 10C1.732 5.943 5.522 3 10 3s8.268 2.943 9.542 7c-1.274 4.057-5.022 7-9.542 7S1.732 14.057.458 10zM14 10a4 4 0 11-8 0 4 4 0 018 0z" clip-rule="evenodd" /></svg></button>
-                    <a href="mailto:${ticket.email}" class="action-btn ${ticket.contact === 'Email' ? 'is-active' : ''}" title="Email User"><svg class="icon" viewBox="0 0 20 20" fill="currentColor"><path d="M2.003 5.884L10 9.882l7.997-3.998A2 2 0 0016 4H4a2 2 0 00-1.997 1.884z" /><path d="M18 8.118l-8 4-8-4V14a2 2 0 002 2h12a2 2 0 002-2V8.118z" /></svg></a>
-                    <a href="tel:${ticket.phone}" class="action-btn ${ticket.contact === 'Phone' ? 'is-active' : ''}" title="Call User"><svg class="icon" viewBox="0 0 20 20" fill="currentColor"><path d="M2 3a1 1 0 011-1h2.153a1 1 0 01.986.836l.74 4.435a1 1 0 01-.54 1.06l-1.548.773a11.037 11.037 0 006.105 6.105l.774-1.548a1 1 0 011.059-.54l4.435.74a1 1 0 01.836.986V17a1 1 0 01-1 1h-2C7.82 18 2 12.18 2 5V3z" /></svg></a>
-                    <button class="action-btn" title="Edit" onclick="app.editTicket('${ticket.id}')"><svg class="icon" viewBox="0 0 20 20" fill="currentColor"><path d="M17.414 2.586a2 2 0 00-2.828 0L7 10.172V13h2.828l7.586-7.586a2 2 0 000-2.828z" /><path fill-rule="evenodd" d="M2 6a2 2 0 012-2h4a1 1 0 010 2H4v10h10v-4a1 1 0 112 0v4a2 2 0 01-2 2H4a2 2 0 01-2-2V6z" clip-rule="evenodd" /></svg></button>
-                    <button class="action-btn delete" title="Delete" onclick="app.confirmDelete('${ticket.id}')"><svg class="icon" viewBox="0 0 20 20" fill="currentColor"><path fill-rule="evenodd" d="M9 2a1 1 0 00-.894.553L7.382 4H4a1 1 0 000 2v10a2 2 0 002 2h8a2 2 0 002-2V6a1 1 0 100-2h-3.382l-.724-1.447A1 1 0 0011 2H9zM7 8a1 1 0 012 0v6a1 1 0 11-2 0V8zm5-1a1 1 0 00-1 1v6a1 1 0 102 0V8a1 1 0 00-1-1z" clip-rule="evenodd" /></svg></button>
+                    <button class="action-btn" title="View" data-ticket-action="viewTicket" data-ticket-id="${escapeHtml(ticket.id)}"><svg class="icon" viewBox="0 0 20 20" fill="currentColor"><path d="M10 12a2 2 0 100-4 2 2 0 000 4z" /><path fill-rule="evenodd" d="M.458 10C1.732 5.943 5.522 3 10 3s8.268 2.943 9.542 7c-1.274 4.057-5.022 7-9.542 7S1.732 14.057.458 10zM14 10a4 4 0 11-8 0 4 4 0 018 0z" clip-rule="evenodd" /></svg></button>
+                    <a href="mailto:${escapeHtml(ticket.email)}" class="action-btn ${ticket.contact === 'Email' ? 'is-active' : ''}" title="Email User"><svg class="icon" viewBox="0 0 20 20" fill="currentColor"><path d="M2.003 5.884L10 9.882l7.997-3.998A2 2 0 0016 4H4a2 2 0 00-1.997 1.884z" /><path d="M18 8.118l-8 4-8-4V14a2 2 0 002 2h12a2 2 0 002-2V8.118z" /></svg></a>
+                    <a href="tel:${escapeHtml(ticket.phone)}" class="action-btn ${ticket.contact === 'Phone' ? 'is-active' : ''}" title="Call User"><svg class="icon" viewBox="0 0 20 20" fill="currentColor"><path d="M2 3a1 1 0 011-1h2.153a1 1 0 01.986.836l.74 4.435a1 1 0 01-.54 1.06l-1.548.773a11.037 11.037 0 006.105 6.105l.774-1.548a1 1 0 011.059-.54l4.435.74a1 1 0 01.836.986V17a1 1 0 01-1 1h-2C7.82 18 2 12.18 2 5V3z" /></svg></a>
+                    <button class="action-btn" title="Reply to Ticket" data-ticket-action="replyToTicket" data-ticket-id="${escapeHtml(ticket.id)}"><svg class="icon" viewBox="0 0 20 20" fill="currentColor"><path fill-rule="evenodd" d="M7.707 3.293a1 1 0 010 1.414L5.414 7H11a7 7 0 017 7v2a1 1 0 11-2 0v-2a5 5 0 00-5-5H5.414l2.293 2.293a1 1 0 11-1.414 1.414l-4-4a1 1 0 010-1.414l4-4a1 1 0 011.414 0z" clip-rule="evenodd" /></svg></button>
+                    <button class="action-btn" title="${ticket.assignee ? 'Reassign' : 'Assign'}" data-ticket-action="assignTicket" data-ticket-id="${escapeHtml(ticket.id)}"><svg class="icon" viewBox="0 0 20 20" fill="currentColor"><path d="M8 9a3 3 0 100-6 3 3 0 000 6zM8 11a6 6 0 016 6H2a6 6 0 016-6zM16 7a1 1 0 10-2 0v1h-1a1 1 0 100 2h1v1a1 1 0 102 0v-1h1a1 1 0 100-2h-1V7z" /></svg></button>
+                    <button class="action-btn" title="Edit" data-ticket-action="editTicket" data-ticket-id="${escapeHtml(ticket.id)}"><svg class="icon" viewBox="0 0 20 20" fill="currentColor"><path d="M17.414 2.586a2 2 0 00-2.828 0L7 10.172V13h2.828l7.586-7.586a2 2 0 000-2.828z" /><path fill-rule="evenodd" d="M2 6a2 2 0 012-2h4a1 1 0 010 2H4v10h10v-4a1 1 0 112 0v4a2 2 0 01-2 2H4a2 2 0 01-2-2V6z" clip-rule="evenodd" /></svg></button>
+                    <button class="action-btn delete" title="Delete" data-ticket-action="confirmDelete" data-ticket-id="${escapeHtml(ticket.id)}"><svg class="icon" viewBox="0 0 20 20" fill="currentColor"><path fill-rule="evenodd" d="M9 2a1 1 0 00-.894.553L7.382 4H4a1 1 0 000 2v10a2 2 0 002 2h8a2 2 0 002-2V6a1 1 0 100-2h-3.382l-.724-1.447A1 1 0 0011 2H9zM7 8a1 1 0 012 0v6a1 1 0 11-2 0V8zm5-1a1 1 0 00-1 1v6a1 1 0 102 0V8a1 1 0 00-1-1z" clip-rule="evenodd" /></svg></button>
                 </div>
             </td>
         </tr>
@@ -98,15 +284,92 @@ export function populateViewModal(ticket) {
     dom.viewModalBody.innerHTML = `
         <dl class="view-details-list">
             <dt>Ticket ID</dt><dd>${escapeHtml(ticket.id)}</dd>
+            <dt>Status</dt><dd><div class="status-field">${renderStatusBadge(ticket.status)}<div class="status-actions">${renderStatusActions(ticket)}</div></div></dd>
+            <dt>Priority</dt><dd><div class="priority-cell">${renderPriorityBadge(ticket.priority)}${renderSlaTimer(ticket)}</div></dd>
+            <dt>Assignee</dt><dd><div class="status-field">${renderAssignee(ticket.assignee)}<button class="btn btn--small" data-ticket-action="assignTicket" data-ticket-id="${escapeHtml(ticket.id)}">${ticket.assignee ? 'Reassign' : 'Assign'}</button></div></dd>
             <dt>Full Name</dt><dd>${escapeHtml(ticket.fullName)}</dd>
             <dt>Email</dt><dd>${escapeHtml(ticket.email)}</dd>
             <dt>Phone</dt><dd>${escapeHtml(ticket.phone)}</dd>
             <dt>Subject</dt><dd>${escapeHtml(ticket.subject)}</dd>
-            <dt>Message</dt><dd>${escapeHtml(ticket.message)}</dd>
+            <dt>Tags</dt><dd>${renderTags(ticket.tags) || 'None'}</dd>
             <dt>Preferred Contact</dt><dd>${escapeHtml(ticket.contact)}</dd>
             <dt>Date Created</dt><dd>${new Date(ticket.dateCreated).toLocaleString()}</dd>
             <dt>Attachment</dt><dd>${attachmentPreviewHTML}</dd>
-        </dl>`;
+        </dl>
+        <section class="thread">
+            <h3 class="thread__title">Conversation</h3>
+            <ol class="thread__messages">${getThread(ticket).map(renderThreadMessage).join('')}</ol>
+            <form class="thread-composer" data-ticket-id="${escapeHtml(ticket.id)}" novalidate>
+                <textarea name="replyBody" rows="3" placeholder="Write a reply or an internal note"></textarea>
+                <div class="thread-composer__actions">
+                    <div class="radio-group">
+                        <label class="radio-label"><input type="radio" name="replyType" value="reply" checked><span class="radio-custom"></span>Reply</label>
+                        <label class="radio-label"><input type="radio" name="replyType" value="note"><span class="radio-custom"></span>Internal note</label>
+                    </div>
+                    <button type="submit" class="btn btn--primary">Send</button>
+                </div>
+            </form>
+        </section>
+        <section class="activity">
+            <h3 class="thread__title">Activity</h3>
+            <ol class="activity__list" data-ticket-id="${escapeHtml(ticket.id)}"><li class="activity__empty">Loading activity&hellip;</li></ol>
+        </section>`;
+}
+
+// Labels for fields that are not in the edit form; the rest come from EDITABLE_FIELDS.
+const AUDIT_FIELD_LABELS = {
+    status: 'Status',
+    assignee: 'Assignee',
+    messages: 'Conversation',
+    attachmentData: 'Attachment file',
+    firstResponseAt: 'First response',
+    resolvedAt: 'Resolved at',
+    deletedAt: 'Moved to Trash',
+    tags: 'Tags',
+};
+
+const ACTION_LABELS = { created: 'created the ticket', updated: 'updated', deleted: 'deleted the ticket' };
+
+function renderAuditValue(value) {
+    return value === null || value === '' ? '<em>empty</em>' : escapeHtml(typeof value === 'object' ? JSON.stringify(value) : value);
+}
+
+function renderAuditEntry(entry) {
+    const labels = { ...Object.fromEntries(EDITABLE_FIELDS.map(f => [f.id, f.label])), ...AUDIT_FIELD_LABELS };
+    // Creation lists every field, which is already visible above, so only changes to existing tickets are itemised.
+    const changes = entry.action === 'updated' ? entry.changes.map(({ field, from, to }) => `
+        <li><strong>${escapeHtml(labels[field] || field)}</strong>: ${renderAuditValue(from)} &rarr; ${renderAuditValue(to)}</li>`).join('') : '';
+    return `
+        <li class="activity__entry">
+            <div class="thread__meta">
+                <strong>${escapeHtml(entry.actor)}</strong>
+                <span>${ACTION_LABELS[entry.action] || escapeHtml(entry.action)}</span>
+                <time datetime="${escapeHtml(entry.at)}">${new Date(entry.at).toLocaleString()}</time>
+            </div>
+            ${changes ? `<ul class="activity__changes">${changes}</ul>` : ''}
+        </li>`;
+}
+
+export function renderActivity(ticketId, entries, error) {
+    const list = dom.viewModalBody.querySelector('.activity__list');
+    if (!list || list.dataset.ticketId !== ticketId) return;
+    if (error) list.innerHTML = '<li class="activity__empty">Could not load the activity for this ticket.</li>';
+    else if (entries.length === 0) list.innerHTML = '<li class="activity__empty">No recorded activity yet.</li>';
+    // Newest first, like the tickets table.
+    else list.innerHTML = [...entries].reverse().map(renderAuditEntry).join('');
+}
+
+function renderThreadMessage(message) {
+    const type = MESSAGE_TYPES[message.type] ? message.type : 'customer';
+    return `
+        <li class="thread__message thread__message--${type}">
+            <div class="thread__meta">
+                <strong>${escapeHtml(message.author) || 'Unknown'}</strong>
+                <span>${MESSAGE_TYPES[type].label}</span>
+                <time datetime="${escapeHtml(message.createdAt)}">${new Date(message.createdAt).toLocaleString()}</time>
+            </div>
+            <div class="thread__body">${escapeHtml(message.body)}</div>
+        </li>`;
 }
 
 export function populateEditModal(ticket) {
@@ -116,6 +379,7 @@ export function populateEditModal(ticket) {
     form.querySelector('[name=editPhone]').value = ticket.phone;
     form.querySelector('[name=editSubject]').value = ticket.subject;
     form.querySelector('[name=editMessage]').value = ticket.message;
+    form.querySelector('[name=editPriority]').value = getPriority(ticket.priority).id;
     form.querySelector(`input[name="editContact"][value="${ticket.contact}"]`).checked = true;
 
     const fileText = form.querySelector('.file-text');
@@ -147,24 +411,189 @@ export function getEditFormData(originalTicket, newAttachmentData) {
         subject: form.querySelector('[name=editSubject]').value,
         message: form.querySelector('[name=editMessage]').value.trim(),
         contact: form.querySelector('input[name="editContact"]:checked').value,
+        priority: form.querySelector('[name=editPriority]').value,
         attachmentName: newAttachmentData ? attachmentFile.name : originalTicket.attachmentName,
         attachmentData: newAttachmentData ? newAttachmentData : originalTicket.attachmentData,
     };
 }
 
-export function downloadTicketDetails(ticket) {
-    const text = Object.entries(ticket)
-        .filter(([key]) => key !== 'attachmentData')
-        .map(([key, value]) => `${key}: ${value}`)
-        .join('\n');
-    const blob = new Blob([text], { type: 'text/plain' });
+const EDITABLE_FIELDS = [
+    { id: 'fullName', label: 'Full Name' },
+    { id: 'email', label: 'Email' },
+    { id: 'phone', label: 'Phone' },
+    { id: 'subject', label: 'Subject' },
+    { id: 'message', label: 'Message' },
+    { id: 'contact', label: 'Preferred Contact' },
+    { id: 'priority', label: 'Priority' },
+    { id: 'attachmentName', label: 'Attachment' },
+];
+
+const isSameValue = (a, b) => JSON.stringify(a ?? null) === JSON.stringify(b ?? null);
+
+// Keeps the other party's changes to fields this edit left alone; fields both sides changed take this edit's value.
+export function mergeTicketEdits(original, mine, theirs) {
+    return Object.fromEntries(Object.keys(mine).map(field => [
+        field,
+        isSameValue(mine[field], original[field]) ? theirs[field] : mine[field],
+    ]));
+}
+
+// Fills an agent <select>; `emptyLabel` is the text of the "nobody" option.
+export function renderAgentOptions(select, selected, emptyLabel) {
+    const agents = getAgents();
+    // Keep an assignee that has since been removed from the registry selectable, so saving does not drop it.
+    if (selected && !agents.includes(selected)) agents.push(selected);
+    select.innerHTML = `<option value="">${escapeHtml(emptyLabel)}</option>` +
+        agents.map(name => `<option value="${escapeHtml(name)}" ${name === selected ? 'selected' : ''}>${escapeHtml(name)}</option>`).join('');
+}
+
+export function renderAgentList() {
+    const agents = getAgents();
+    dom.agentList.innerHTML = agents.length === 0
+        ? '<p class="agent-list__empty">No agents yet. Add the people who work the queue below.</p>'
+        : agents.map(name => `
+            <div class="agent-list__item">
+                <span>${escapeHtml(name)}</span>
+                <button class="modal-delete-btn" title="Remove agent" data-agent="${escapeHtml(name)}">&times;</button>
+            </div>`).join('');
+}
+
+// "All Tickets" is the table without filters and with the default sort order. No tab is active while the
+// filters or sort order differ from every view, e.g. just after they were changed from the modals.
+export function renderViewTabs(views, activeViewId) {
+    const renderTab = (id, name) => `
+        <button class="view-tab${activeViewId === id ? ' is-active' : ''}" role="tab" aria-selected="${activeViewId === id}"
+            data-view="${escapeHtml(id)}">${escapeHtml(name)}</button>`;
+    dom.viewTabs.innerHTML = renderTab('', 'All Tickets') + views.map(view => `
+        <span class="view-tabs__item">${renderTab(view.id, view.name)}<button class="view-tab__remove"
+            title="Delete view" aria-label="Delete view ${escapeHtml(view.name)}" data-remove-view="${escapeHtml(view.id)}">&times;</button></span>`).join('');
+}
+
+export function renderContacts(selectedEmail) {
+    const contacts = getContacts();
+    dom.forwardRecipientSelect.innerHTML = contacts.length === 0
+        ? '<option value="">No saved contacts yet</option>'
+        : contacts.map(({ name, email }) =>
+            `<option value="${escapeHtml(email)}" ${email === selectedEmail ? 'selected' : ''}>${escapeHtml(name)} &lt;${escapeHtml(email)}&gt;</option>`).join('');
+    dom.contactList.innerHTML = contacts.length === 0
+        ? '<p class="agent-list__empty">Save the people you escalate tickets to.</p>'
+        : contacts.map(({ name, email }) => `
+            <div class="agent-list__item">
+                <span>${escapeHtml(name)} &lt;${escapeHtml(email)}&gt;</span>
+                <button class="modal-delete-btn" title="Remove contact" data-email="${escapeHtml(email)}">&times;</button>
+            </div>`).join('');
+}
+
+export function renderConflictDetails(original, mine, theirs) {
+    const rows = EDITABLE_FIELDS.map(({ id, label }) => {
+        const changedByMe = !isSameValue(mine[id], original[id]);
+        const changedByThem = !isSameValue(theirs[id], original[id]);
+        if (!changedByMe && !changedByThem) return '';
+        const clash = changedByMe && changedByThem && !isSameValue(mine[id], theirs[id]);
+        return `
+            <tr class="${clash ? 'is-conflict' : ''}">
+                <th scope="row">${label}</th>
+                <td>${escapeHtml(theirs[id]) || '&ndash;'}</td>
+                <td>${escapeHtml(mine[id]) || '&ndash;'}</td>
+            </tr>`;
+    }).join('');
+    const updatedAt = theirs.updatedAt ? new Date(theirs.updatedAt).toLocaleString() : 'recently';
+    dom.conflictDetails.innerHTML = `
+        <p>This ticket was changed by someone else (${updatedAt}) while you were editing it.
+        Rows highlighted in red were changed on both sides.</p>
+        <table class="conflict-table">
+            <thead><tr><th>Field</th><th>Their version</th><th>Your version</th></tr></thead>
+            <tbody>${rows || '<tr><td colspan="3">Only fields outside this form were changed.</td></tr>'}</tbody>
+        </table>`;
+}
+
+// Plain-text summary of a ticket, shared by the details download and forwarded emails.
+export function serializeTicketDetails(ticket) {
+    const fields = Object.entries(ticket)
+        .filter(([key]) => key !== 'attachmentData' && key !== 'messages')
+        .map(([key, value]) => `${key}: ${value}`);
+    const conversation = getThread(ticket).map(message =>
+        `[${new Date(message.createdAt).toLocaleString()}] ${message.author} (${MESSAGE_TYPES[message.type]?.label || message.type}):\n${message.body}`);
+    return `${fields.join('\n')}\n\nConversation:\n${conversation.join('\n\n')}`;
+}
+
+export function downloadBlob(blob, filename) {
     const a = document.createElement('a');
     a.href = URL.createObjectURL(blob);
-    a.download = `ticket_${ticket.id}.txt`;
+    a.download = filename;
     a.click();
     URL.revokeObjectURL(a.href);
 }
 
+export function downloadTicketDetails(ticket) {
+    downloadBlob(new Blob([serializeTicketDetails(ticket)], { type: 'text/plain' }), `ticket_${ticket.id}.txt`);
+}
+
+export function renderTransferTicketList(tickets) {
+    dom.transferSelectAll.checked = tickets.length > 0;
+    dom.transferSelectAll.disabled = tickets.length === 0;
+    dom.transferTicketList.innerHTML = tickets.length === 0
+        ? '<p class="transfer-list__empty">There are no tickets in this storage.</p>'
+        : tickets.map(ticket => `
+            <label class="transfer-list__item">
+                <input type="checkbox" name="transferTicket" value="${escapeHtml(ticket.id)}" checked>
+                <span class="ticket-id">${escapeHtml(ticket.id)}</span>
+                <span class="transfer-list__subject">${escapeHtml(ticket.fullName)} &middot; ${escapeHtml(ticket.subject)}</span>
+            </label>`).join('');
+}
+
+export function renderExportColumns(selectedIds) {
+    dom.exportColumnList.innerHTML = EXPORT_COLUMNS.map(column => `
+        <label class="transfer-list__item">
+            <input type="checkbox" name="exportColumn" value="${column.id}" ${selectedIds.includes(column.id) ? 'checked' : ''}>
+            ${escapeHtml(column.label)}
+        </label>`).join('');
+    dom.exportSelectAll.checked = EXPORT_COLUMNS.every(column => selectedIds.includes(column.id));
+}
+
+export function renderImportMapping(columns, mapping) {
+    const options = selected => '<option value="">(not imported)</option>' + columns.map(column =>
+        `<option value="${escapeHtml(column)}" ${column === selected ? 'selected' : ''}>${escapeHtml(column)}</option>`).join('');
+    dom.importMapping.innerHTML = IMPORT_FIELDS.map(field => `
+        <label class="import-mapping__field">
+            <span class="form-label">${escapeHtml(field.label)}${field.required ? ' *' : ''}</span>
+            <select data-field="${field.id}">${options(mapping[field.id])}</select>
+        </label>`).join('');
+    dom.importMappingSection.hidden = false;
+}
+
+export function renderImportReport(rows) {
+    const valid = rows.filter(row => row.errors.length === 0).length;
+    dom.importSummary.textContent = `${rows.length} row(s): ${valid} ready to import, ${rows.length - valid} with errors.`;
+    dom.importReportBody.innerHTML = rows.map(row => `
+        <tr class="${row.errors.length ? 'import-row--invalid' : ''}">
+            <td>${row.rowNumber}</td>
+            <td>${escapeHtml(row.fields.fullName)}</td>
+            <td>${escapeHtml(row.fields.subject)}</td>
+            <td>${row.errors.length
+                ? `<ul class="import-errors">${row.errors.map(e => `<li><strong>${escapeHtml(e.field)}</strong>: ${escapeHtml(e.message)}</li>`).join('')}</ul>`
+                : '<span class="import-ok">Ready</span>'}</td>
+        </tr>`).join('');
+    dom.importSubmitBtn.textContent = `Import ${valid} ticket(s)`;
+    dom.importSubmitBtn.disabled = valid === 0;
+    dom.importReportSection.hidden = false;
+}
+
+export function resetImport() {
+    dom.importFileInput.value = '';
+    dom.importFileName.textContent = 'No file chosen';
+    dom.importMappingSection.hidden = true;
+    dom.importReportSection.hidden = true;
+}
+
+export function renderRestoreSummary(archive, sourceLabel) {
+    const { createdAt, counts } = archive;
+    dom.restoreSummary.innerHTML = `
+        <p><strong>Backup verified.</strong> Made on ${new Date(createdAt).toLocaleString()} from ${escapeHtml(sourceLabel)} storage.</p>
+        <p>${counts.tickets} ticket(s), ${counts.attachments} attachment(s) and ${counts.auditEntries} activity entries.</p>`;
+    dom.restoreSummary.hidden = false;
+}
+
 // Filter/Sort Modal Row Rendering
 export function renderSorterRows(sorters) {
     dom.sorterRowsContainer.innerHTML = '';
@@ -177,9 +606,8 @@ export function addSorterRow(sorter = { column: 'dateCreated', order: 'desc' })
     row.className = 'modal-dynamic-row';
     row.innerHTML = `
         <select name="sortColumn">
-            <option value="id" ${sorter.column === 'id' ? 'selected' : ''}>Ticket ID</option>
-            <option value="fullName" ${sorter.column === 'fullName' ? 'selected' : ''}>Full Name</option>
-            <option value="dateCreated" ${sorter.column === 'dateCreated' ? 'selected' : ''}>Date Created</option>
+            ${Object.entries(SORT_COLUMNS).map(([id, label]) =>
+                `<option value="${id}" ${sorter.column === id ? 'selected' : ''}>${label}</option>`).join('')}
         </select>
         <select name="sortOrder">
             <option value="asc" ${sorter.order === 'asc' ? 'selected' : ''}>Ascending</option>
@@ -190,28 +618,126 @@ export function addSorterRow(sorter = { column: 'dateCreated', order: 'desc' })
     dom.sorterRowsContainer.appendChild(row);
 }
 
-export function renderFilterRows(filters) {
+// The filter modal edits a query tree (see query.js): the top-level group is always shown and cannot be removed.
+export function renderFilterRows(query) {
     dom.filterRowsContainer.innerHTML = '';
-    if (filters.length === 0) addFilterRow();
-    else filters.forEach(filter => addFilterRow(filter));
+    const root = toQuery(query);
+    renderFilterGroup(root, dom.filterRowsContainer, true);
+    if (root.children.length === 0) addFilterRow();
+}
+
+const getRootFilterChildren = () => dom.filterRowsContainer.querySelector('.filter-group__children');
+
+function renderFilterGroup(group, container, isRoot = false) {
+    const element = document.createElement('div');
+    element.className = `filter-group${isRoot ? ' filter-group--root' : ''}`;
+    element.innerHTML = `
+        <div class="filter-group__header">
+            <label class="filter-group__negate"><input type="checkbox" name="filterNegate" ${group.negate ? 'checked' : ''}> Not</label>
+            <select name="filterOperator">
+                ${Object.entries(QUERY_OPERATORS).map(([op, label]) =>
+                    `<option value="${op}" ${group.op === op ? 'selected' : ''}>${label}</option>`).join('')}
+            </select>
+            <span>the following</span>
+            ${isRoot ? '' : `
+            <button type="button" class="btn btn--small" data-action="add-condition">+ Condition</button>
+            <button type="button" class="btn btn--small" data-action="add-group">+ Group</button>
+            <button type="button" class="modal-delete-btn" title="Remove group">&times;</button>`}
+        </div>
+        <div class="filter-group__children"></div>`;
+    const children = element.querySelector('.filter-group__children');
+    if (!isRoot) {
+        element.querySelector('[data-action=add-condition]').addEventListener('click', () => addFilterRow(undefined, children));
+        element.querySelector('[data-action=add-group]').addEventListener('click', () => addFilterGroup(undefined, children));
+        element.querySelector('.modal-delete-btn').addEventListener('click', () => element.remove());
+    }
+    container.appendChild(element);
+    group.children.forEach(child => isQueryGroup(child) ? renderFilterGroup(child, children) : addFilterRow(child, children));
+    return children;
+}
+
+// New nested groups default to OR, which is what a group is usually for ("subject is Bulk SMS or USSD").
+export function addFilterGroup(group = createQueryGroup('or'), container = getRootFilterChildren()) {
+    const children = renderFilterGroup(group, container);
+    if (group.children.length === 0) addFilterRow(undefined, children);
 }
 
-export function addFilterRow(filter = { column: '', relation: '', value: '' }) {
+let filterRowCount = 0;
+
+// Known values offered as suggestions in the filter value input.
+const FILTER_SUGGESTIONS = {
+    status: () => STATUSES,
+    priority: () => PRIORITIES.map(p => p.id),
+    assignee: () => getAgents(),
+};
+
+// Value inputs for each type of column; "in the last N days" takes a number of days instead of a date.
+const FILTER_INPUT_TYPES = { text: 'text', number: 'text', date: 'date' };
+
+export function addFilterRow(filter = { column: '', relation: '', value: '' }, container = getRootFilterChildren()) {
+    const suggestionsId = `filterSuggestions${++filterRowCount}`;
     const row = document.createElement('div');
     row.className = 'modal-dynamic-row';
     row.innerHTML = `
         <select name="filterColumn">
-            <option value="id" ${filter.column === 'id' ? 'selected' : ''}>Ticket ID</option>
-            <option value="fullName" ${filter.column === 'fullName' ? 'selected' : ''}>Full Name</option>
-            <option value="email" ${filter.column === 'email' ? 'selected' : ''}>Email</option>
-            <option value="subject" ${filter.column === 'subject' ? 'selected' : ''}>Subject</option>
-        </select>
-        <select name="filterRelation">
-            <option value="contains" ${filter.relation === 'contains' ? 'selected' : ''}>Contains</option>
-            <option value="equals" ${filter.relation === 'equals' ? 'selected' : ''}>Equals</option>
+            ${Object.entries(FILTER_COLUMNS).map(([id, column]) =>
+                `<option value="${id}" ${filter.column === id ? 'selected' : ''}>${column.label}</option>`).join('')}
         </select>
+        <select name="filterRelation"></select>
         <input type="text" name="filterValue" placeholder="Enter value" value="${escapeHtml(filter.value)}">
+        <input type="date" name="filterValueTo" aria-label="and" value="${escapeHtml(filter.valueTo)}">
+        <datalist id="${suggestionsId}"></datalist>
         <button class="modal-delete-btn" title="Remove filter">&times;</button>`;
+    const columnSelect = row.querySelector('[name=filterColumn]');
+    const relationSelect = row.querySelector('[name=filterRelation]');
+    const valueInput = row.querySelector('[name=filterValue]');
+    const valueToInput = row.querySelector('[name=filterValueTo]');
+    const datalist = row.querySelector('datalist');
+    // Filters saved before a column became typed keep their text relation, so it is still offered for that row.
+    const relationIds = () => {
+        const ids = getRelationsForType(getColumnType(columnSelect.value));
+        return RELATIONS[filter.relation] && filter.column === columnSelect.value && !ids.includes(filter.relation)
+            ? [...ids, filter.relation] : ids;
+    };
+    const updateInputs = () => {
+        const type = getColumnType(columnSelect.value);
+        const relation = RELATIONS[relationSelect.value];
+        valueInput.type = relationSelect.value === 'lastDays' ? 'number' : FILTER_INPUT_TYPES[type];
+        valueInput.placeholder = relationSelect.value === 'lastDays' ? 'Days' : 'Enter value';
+        valueToInput.type = FILTER_INPUT_TYPES[type];
+        valueToInput.hidden = !relation.range;
+        const suggestions = FILTER_SUGGESTIONS[columnSelect.value]?.() || [];
+        datalist.innerHTML = suggestions.map(s => `<option value="${escapeHtml(s)}">`).join('');
+        if (suggestions.length > 0) valueInput.setAttribute('list', suggestionsId);
+        else valueInput.removeAttribute('list');
+    };
+    const updateRelations = () => {
+        const selected = relationSelect.value || filter.relation;
+        const ids = relationIds();
+        relationSelect.innerHTML = ids.map(id =>
+            `<option value="${id}" ${selected === id ? 'selected' : ''}>${RELATIONS[id].label}</option>`).join('');
+        updateInputs();
+    };
+    columnSelect.addEventListener('change', () => {
+        // A value typed for another kind of column (text vs. date) means nothing here.
+        if (valueInput.type !== FILTER_INPUT_TYPES[getColumnType(columnSelect.value)]) valueInput.value = valueToInput.value = '';
+        updateRelations();
+    });
+    relationSelect.addEventListener('change', updateInputs);
+    updateRelations();
     row.querySelector('.modal-delete-btn').addEventListener('click', () => row.remove());
-    dom.filterRowsContainer.appendChild(row);
+    container.appendChild(row);
+}
+
+// Reads the query back from the filter modal, in the same shape renderFilterRows takes.
+export function getFilterQuery(element = dom.filterRowsContainer.querySelector('.filter-group')) {
+    const header = element.querySelector(':scope > .filter-group__header');
+    const children = Array.from(element.querySelector(':scope > .filter-group__children').children).map(child =>
+        child.classList.contains('filter-group') ? getFilterQuery(child) : {
+            column: child.querySelector('[name=filterColumn]').value,
+            relation: child.querySelector('[name=filterRelation]').value,
+            value: child.querySelector('[name=filterValue]').value,
+            ...(child.querySelector('[name=filterValueTo]').hidden ? {} : { valueTo: child.querySelector('[name=filterValueTo]').value }),
+        });
+    return createQueryGroup(header.querySelector('[name=filterOperator]').value, children, header.querySelector('[name=filterNegate]').checked);
 }
\ No newline at end of file
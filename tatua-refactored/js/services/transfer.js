@@ -0,0 +1,62 @@
+import { generateTicketId } from './ticket.js';
+
+export const COLLISION_POLICIES = ['skip', 'overwrite', 'rename'];
+
+// Resolves to false when the target keeps its own history and cannot take the entries.
+async function moveAuditEntries(source, target, sourceId, targetId) {
+    if (target.keepsOwnAuditTrail) return false;
+    const entries = await source.getAuditEntries(sourceId);
+    await target.importAuditEntries(entries.map(entry => ({ ...entry, ticketId: targetId })));
+    return true;
+}
+
+/**
+ * Copies or moves tickets from one storage strategy to another.
+ * Tickets are read through the source strategy (decrypted with crypto.js) and written through the
+ * target strategy (re-encrypted with its own settings), so no ciphertext is ever copied verbatim.
+ *
+ * @param {StorageStrategy} source Strategy to read from.
+ * @param {StorageStrategy} target Strategy to write to.
+ * @param {Object} [options]
+ * @param {string[]|null} [options.ticketIds=null] Tickets to transfer; `null` transfers all of them.
+ * @param {'copy'|'move'} [options.mode='copy'] `move` also copies each ticket's activity history to the target, then
+ *   deletes the ticket from the source. A target that keeps its own history (remote) cannot take it; those tickets
+ *   are counted in `historyLeftBehind`, and their history stays readable in the source.
+ * @param {'skip'|'overwrite'|'rename'} [options.onCollision='skip'] What to do when the target already has the ID.
+ * @returns {Promise<{transferred: number, skipped: number, overwritten: number, renamed: number, historyLeftBehind: number}>}
+ */
+export async function transferTickets(source, target, { ticketIds = null, mode = 'copy', onCollision = 'skip' } = {}) {
+    if (source === target) throw new Error('Source and target storage must differ');
+    if (!COLLISION_POLICIES.includes(onCollision)) throw new Error(`Unknown collision policy: ${onCollision}`);
+
+    const sourceTickets = await source.getTickets();
+    const selected = ticketIds ? sourceTickets.filter(t => ticketIds.includes(t.id)) : sourceTickets;
+    const existingIds = new Set((await target.getTickets()).map(t => t.id));
+    const result = { transferred: 0, skipped: 0, overwritten: 0, renamed: 0, historyLeftBehind: 0 };
+
+    // Strategies store newest first, so write oldest first to keep the original order.
+    for (const ticket of [...selected].reverse()) {
+        const copy = { ...ticket };
+        if (existingIds.has(ticket.id)) {
+            if (onCollision === 'skip') {
+                result.skipped++;
+                continue;
+            }
+            if (onCollision === 'overwrite') {
+                result.overwritten++;
+            } else {
+                copy.id = generateTicketId();
+                result.renamed++;
+            }
+        }
+        // Overwrites in place, so the target's history shows an update rather than a delete.
+        await target.putTicket(copy);
+        existingIds.add(copy.id);
+        if (mode === 'move') {
+            if (!await moveAuditEntries(source, target, ticket.id, copy.id)) result.historyLeftBehind++;
+            await source.deleteTicket(ticket.id);
+        }
+        result.transferred++;
+    }
+    return result;
+}
@@ -0,0 +1,16 @@
+// Soft deletion: deleted tickets keep their data with a `deletedAt` timestamp until they are purged,
+// either by hand from the Trash screen or once the retention period from settings has passed.
+const DAY = 24 * 60 * 60 * 1000;
+
+export const isTrashed = ticket => Boolean(ticket.deletedAt);
+
+// Returns null when tickets are kept until purged by hand.
+export function getPurgeDate(ticket, retentionDays) {
+    if (!isTrashed(ticket) || !retentionDays) return null;
+    return new Date(new Date(ticket.deletedAt).getTime() + retentionDays * DAY);
+}
+
+export function isPurgeDue(ticket, retentionDays, now = Date.now()) {
+    const purgeDate = getPurgeDate(ticket, retentionDays);
+    return purgeDate !== null && purgeDate.getTime() <= now;
+}
\ No newline at end of file
@@ -0,0 +1,58 @@
+// The state of the tickets list kept in the URL, so a link opens the same screen, filters and sort order for whoever
+// follows it. Parameters holding a default are left out to keep links short. The storage choice (`?storage=`) is
+// handled by App next to these.
+import { SORT_COLUMNS, isQueryGroup, pruneQuery, sanitizeQuery, countConditions } from './query.js';
+
+const SORT_ORDERS = ['asc', 'desc'];
+
+// e.g. "fullName:asc,dateCreated:desc"
+export const encodeSorters = sorters => sorters.map(({ column, order }) => `${column}:${order}`).join(',');
+
+// Entries naming a column that cannot be sorted on are dropped; null when none is left.
+export function decodeSorters(text) {
+    const sorters = text.split(',')
+        .map(part => {
+            const [column, order] = part.split(':');
+            return { column, order };
+        })
+        .filter(({ column, order }) => Object.keys(SORT_COLUMNS).includes(column) && SORT_ORDERS.includes(order));
+    return sorters.length > 0 ? sorters : null;
+}
+
+// Filters are nested groups (see query.js), so they travel as JSON.
+export function decodeFilters(text) {
+    try {
+        const query = sanitizeQuery(JSON.parse(text));
+        return isQueryGroup(query) ? pruneQuery(query) : null;
+    } catch {
+        return null;
+    }
+}
+
+/**
+ * Reads the list state from a query string. Parameters that are missing or malformed come back as null, meaning
+ * the default applies.
+ * @param {string} search e.g. `window.location.search`
+ * @param {string[]} screens The screens a link may open.
+ * @returns {{screen: string|null, filters: object|null, sorters: object[]|null}}
+ */
+export function readListState(search, screens) {
+    const params = new URLSearchParams(search);
+    const screen = params.get('screen');
+    const filters = params.get('filter');
+    const sorters = params.get('sort');
+    return {
+        screen: screens.includes(screen) ? screen : null,
+        filters: filters ? decodeFilters(filters) : null,
+        sorters: sorters ? decodeSorters(sorters) : null,
+    };
+}
+
+// Writes the state into `url`, removing the parameters whose value is the default.
+export function writeListState(url, { screen, filters, sorters }, defaults) {
+    const setParam = (name, value, isDefault) => isDefault ? url.searchParams.delete(name) : url.searchParams.set(name, value);
+    setParam('screen', screen, screen === defaults.screen);
+    setParam('filter', JSON.stringify(pruneQuery(filters)), countConditions(filters) === 0);
+    setParam('sort', encodeSorters(sorters), encodeSorters(sorters) === encodeSorters(defaults.sorters));
+    return url;
+}
\ No newline at end of file
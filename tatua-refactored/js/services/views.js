@@ -0,0 +1,29 @@
+// Saved views: named presets of the tickets table's filters (see query.js) and sort order. The storage strategy
+// keeps them next to the tickets, so everyone sharing a storage (e.g. the remote backend) sees the same views.
+import { pruneQuery } from './query.js';
+
+const normalizeName = name => name.trim().replace(/\s+/g, ' ');
+
+function generateViewId() {
+    return `VIEW-${Date.now().toString(36)}-${Math.random().toString(36).substr(2, 5)}`.toUpperCase();
+}
+
+export const findViewByName = (views, name) =>
+    views.find(view => view.name.toLowerCase() === normalizeName(name).toLowerCase()) || null;
+
+// Saving under a name that is already taken (ignoring case) replaces that view in place, so its tab keeps its position.
+export function saveView(views, name, filters, sorters) {
+    const existing = findViewByName(views, name);
+    const view = { id: existing?.id || generateViewId(), name: normalizeName(name), filters: pruneQuery(filters), sorters };
+    return existing ? views.map(v => v.id === existing.id ? view : v) : [...views, view];
+}
+
+export const removeView = (views, viewId) => views.filter(view => view.id !== viewId);
+
+const getStateKey = (filters, sorters) => JSON.stringify([pruneQuery(filters), sorters]);
+
+// The view whose filters and sort order are exactly the ones applied, if any.
+export function findMatchingView(views, filters, sorters) {
+    const key = getStateKey(filters, sorters);
+    return views.find(view => getStateKey(view.filters, view.sorters) === key) || null;
+}
\ No newline at end of file
@@ -0,0 +1,56 @@
+// Ticket status workflow. The process is defined by this configuration alone: change the statuses or the
+// allowed transitions here and the table, view modal, filters and sorting follow.
+export const WORKFLOW = {
+    initialStatus: 'Open',
+    statuses: [
+        { id: 'Open', badge: 'open' },
+        { id: 'In Progress', badge: 'in-progress' },
+        { id: 'Pending Customer', badge: 'pending' },
+        { id: 'Resolved', badge: 'resolved' },
+        { id: 'Closed', badge: 'closed' },
+    ],
+    transitions: [
+        { from: 'Open', to: 'In Progress', label: 'Start Progress' },
+        { from: 'Open', to: 'Closed', label: 'Close' },
+        { from: 'In Progress', to: 'Pending Customer', label: 'Await Customer' },
+        { from: 'In Progress', to: 'Resolved', label: 'Resolve' },
+        { from: 'Pending Customer', to: 'In Progress', label: 'Resume' },
+        { from: 'Pending Customer', to: 'Resolved', label: 'Resolve' },
+        { from: 'Resolved', to: 'Closed', label: 'Close' },
+        { from: 'Resolved', to: 'Open', label: 'Reopen' },
+        { from: 'Closed', to: 'Open', label: 'Reopen' },
+    ],
+};
+
+export class InvalidTransitionError extends Error {
+    constructor(from, to) {
+        super(`A ticket cannot move from "${from}" to "${to}".`);
+        this.name = 'InvalidTransitionError';
+        this.from = from;
+        this.to = to;
+    }
+}
+
+export const STATUSES = WORKFLOW.statuses.map(s => s.id);
+
+export function getAvailableTransitions(status) {
+    return WORKFLOW.transitions.filter(t => t.from === status);
+}
+
+export function canTransition(from, to) {
+    return WORKFLOW.transitions.some(t => t.from === from && t.to === to);
+}
+
+export function assertTransition(from, to) {
+    if (!canTransition(from, to)) throw new InvalidTransitionError(from, to);
+}
+
+// Position in the workflow, so sorting follows the process rather than the alphabet. Unknown statuses sort last.
+export function getStatusOrder(status) {
+    const index = STATUSES.indexOf(status);
+    return index === -1 ? STATUSES.length : index;
+}
+
+export function getStatusBadge(status) {
+    return WORKFLOW.statuses.find(s => s.id === status)?.badge || 'unknown';
+}
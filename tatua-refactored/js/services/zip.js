@@ -0,0 +1,56 @@
+// Minimal ZIP writer for downloads. Entries are stored uncompressed: attachments are already compressed
+// (images, PDFs), so deflating them would cost time for little gain.
+const CRC_TABLE = Array.from({ length: 256 }, (_, n) => {
+    let c = n;
+    for (let k = 0; k < 8; k++) c = c & 1 ? 0xEDB88320 ^ (c >>> 1) : c >>> 1;
+    return c >>> 0;
+});
+
+export function crc32(bytes) {
+    let crc = 0xFFFFFFFF;
+    for (const byte of bytes) crc = CRC_TABLE[(crc ^ byte) & 0xFF] ^ (crc >>> 8);
+    return (crc ^ 0xFFFFFFFF) >>> 0;
+}
+
+// MS-DOS date and time, as used in ZIP headers.
+function toDosDateTime(date) {
+    return {
+        time: (date.getHours() << 11) | (date.getMinutes() << 5) | Math.floor(date.getSeconds() / 2),
+        date: ((date.getFullYear() - 1980) << 9) | ((date.getMonth() + 1) << 5) | date.getDate(),
+    };
+}
+
+function header(size, fields) {
+    const view = new DataView(new ArrayBuffer(size));
+    fields.forEach(([offset, bytes, value]) => bytes === 4 ? view.setUint32(offset, value, true) : view.setUint16(offset, value, true));
+    return new Uint8Array(view.buffer);
+}
+
+/**
+ * Packs files into a ZIP archive.
+ * @param {Array<{name: string, data: Uint8Array, date?: Date}>} files
+ * @returns {Blob}
+ */
+export function createZip(files) {
+    const encoder = new TextEncoder();
+    const parts = [];
+    const centralDirectory = [];
+    let offset = 0;
+
+    files.forEach(file => {
+        const name = encoder.encode(file.name);
+        const crc = crc32(file.data);
+        const { time, date } = toDosDateTime(file.date || new Date());
+        // Bit 11 marks the file name as UTF-8.
+        const common = [[6, 2, 0x0800], [8, 2, 0], [10, 2, time], [12, 2, date], [14, 4, crc], [18, 4, file.data.length], [22, 4, file.data.length], [26, 2, name.length]];
+        const local = header(30, [[0, 4, 0x04034B50], [4, 2, 20], ...common]);
+        parts.push(local, name, file.data);
+        centralDirectory.push(header(46, [[0, 4, 0x02014B50], [4, 2, 20], [6, 2, 20],
+            ...common.map(([o, b, v]) => [o + 2, b, v]), [42, 4, offset]]), name);
+        offset += local.length + name.length + file.data.length;
+    });
+
+    const directorySize = centralDirectory.reduce((size, part) => size + part.length, 0);
+    const end = header(22, [[0, 4, 0x06054B50], [8, 2, files.length], [10, 2, files.length], [12, 4, directorySize], [16, 4, offset]]);
+    return new Blob([...parts, ...centralDirectory, end], { type: 'application/zip' });
+}
\ No newline at end of file
@@ -12,11 +12,12 @@
  *                                     and must return a Promise resolving to `{ data: Array, totalCount: number }`.
  * @param {string} config.keyField The unique identifier property in your data.
  * @param {Object} [config.pagination] Pagination settings. E.g., `{ enabled: true, pageSize: 10 }`.
- * @param {boolean} [config.selectable=false] Enables row selection via checkboxes.
+ * @param {boolean} [config.selectable=false] Enables row selection via checkboxes. The selection is kept across pages.
+ * @param {Function} [config.onSelectionChange] Called with an array of the selected keys whenever the selection changes.
  * @param {string} [config.emptyMessage="No data available"] Message for when the table is empty.
  * @param {boolean} [config.logging=false] Enables detailed console logging for debugging.
  * @param {Object} [config.controls] Configuration for linking external control elements.
- * @returns {Object} An API to interact with the table instance (refresh, getState).
+ * @returns {Object} An API to interact with the table instance (refresh, getState, getSelectedRows, clearSelection).
  */
 export function createDynamicTable(containerId, config) {
     const container = document.getElementById(containerId);
@@ -94,7 +95,7 @@ export function createDynamicTable(containerId, config) {
 
     // --- DOM Rendering ---
     const renderHeader = () => {
-        const selectHeader = settings.selectable ? `<th scope="col"><input type="checkbox" data-select-all></th>` : '';
+        const selectHeader = settings.selectable ? `<th scope="col"><input type="checkbox" data-select-all aria-label="Select all rows on this page"></th>` : '';
         const headerCells = settings.columns.map(c => `<th scope="col" data-column-id="${c.id}">${sanitize(c.caption || c.id)}</th>`).join('');
         return `<thead><tr data-header-row>${selectHeader}${headerCells}</tr></thead>`;
     };
@@ -107,7 +108,7 @@ export function createDynamicTable(containerId, config) {
         return state.data.map(row => {
             const rowId = row[settings.keyField];
             const isSelected = state.selectedRows.has(rowId);
-            const selectCell = settings.selectable ? `<td><input type="checkbox" data-row-id="${sanitize(rowId)}" ${isSelected ? 'checked' : ''}></td>` : '';
+            const selectCell = settings.selectable ? `<td><input type="checkbox" data-row-id="${sanitize(rowId)}" aria-label="Select row" ${isSelected ? 'checked' : ''}></td>` : '';
             const cells = settings.columns.map(col => {
                 const value = col.id.split('.').reduce((o, i) => o?.[i], row);
                 const content = col.render ? col.render(row) : sanitize(value ?? '–');
@@ -132,10 +133,49 @@ export function createDynamicTable(containerId, config) {
             </div>`;
     };
 
+    // The select-all box reflects the current page only: checked when every row on it is selected, mixed when some are.
+    const syncSelectAll = () => {
+        const selectAll = elements.thead?.querySelector('[data-select-all]');
+        if (!selectAll) return;
+        const selectedOnPage = state.data.filter(row => state.selectedRows.has(row[settings.keyField])).length;
+        selectAll.checked = state.data.length > 0 && selectedOnPage === state.data.length;
+        selectAll.indeterminate = selectedOnPage > 0 && selectedOnPage < state.data.length;
+    };
+
     const update = () => {
         logger.log("Updating table content...");
         if (elements.tbody) elements.tbody.innerHTML = renderBody();
         if (elements.pagination) elements.pagination.innerHTML = renderPagination();
+        syncSelectAll();
+    };
+
+    // --- Row Selection ---
+    const notifySelectionChange = () => {
+        logger.log('Selection changed:', state.selectedRows);
+        settings.onSelectionChange?.([...state.selectedRows]);
+    };
+
+    const setRowSelected = (rowId, isSelected) => {
+        if (isSelected) state.selectedRows.add(rowId);
+        else state.selectedRows.delete(rowId);
+    };
+
+    const handleSelectionChange = (e) => {
+        const checkbox = e.target;
+        if (checkbox.matches('[data-select-all]')) {
+            state.data.forEach(row => setRowSelected(row[settings.keyField], checkbox.checked));
+            update();
+        } else if (checkbox.matches('[data-row-id]')) {
+            // Attribute values are strings, so look the key up on the row to keep numeric keys intact.
+            const row = state.data.find(r => String(r[settings.keyField]) === checkbox.dataset.rowId);
+            if (!row) return;
+            setRowSelected(row[settings.keyField], checkbox.checked);
+            checkbox.closest('tr').setAttribute('aria-selected', checkbox.checked);
+            syncSelectAll();
+        } else {
+            return;
+        }
+        notifySelectionChange();
     };
 
     // --- Modal Control Utility ---
@@ -276,6 +316,7 @@ export function createDynamicTable(containerId, config) {
                 refresh();
             }
         });
+        if (settings.selectable) elements.wrapper.addEventListener('change', handleSelectionChange);
     };
 
     /**
@@ -291,10 +332,19 @@ export function createDynamicTable(containerId, config) {
 
     const getState = () => ({ ...state, selectedRows: new Set(state.selectedRows) });
 
+    const getSelectedRows = () => [...state.selectedRows];
+
+    const clearSelection = () => {
+        if (state.selectedRows.size === 0) return;
+        state.selectedRows.clear();
+        update();
+        notifySelectionChange();
+    };
+
     logger.log("Initializing table...");
     initialRender();
     manageExternalControls();
     refresh();
 
-    return { refresh, getState };
+    return { refresh, getState, getSelectedRows, clearSelection };
 }
\ No newline at end of file
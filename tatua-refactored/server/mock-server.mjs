@@ -0,0 +1,239 @@
+// Minimal REST backend for RemoteStorage. Persists tickets and saved views to a JSON file and serves the app itself.
+// Usage: node server/mock-server.mjs   (PORT and DATA_FILE can be set through the environment)
+import http from 'node:http';
+import fs from 'node:fs/promises';
+import path from 'node:path';
+import { fileURLToPath } from 'node:url';
+import { createAuditEntry } from '../js/services/audit.js';
+
+const APP_ROOT = path.resolve(path.dirname(fileURLToPath(import.meta.url)), '..');
+const PORT = Number(process.env.PORT) || 3001;
+const DATA_FILE = path.resolve(process.env.DATA_FILE || path.join(APP_ROOT, 'server', 'data', 'tickets.json'));
+const MAX_BODY_BYTES = 5 * 1024 * 1024;
+// The format of `generateTicketId`; anything else is refused so a ticket ID can never carry markup or script.
+const TICKET_ID_PATTERN = /^[A-Z0-9-]+$/;
+
+const MIME_TYPES = {
+    '.html': 'text/html; charset=utf-8',
+    '.js': 'text/javascript; charset=utf-8',
+    '.css': 'text/css; charset=utf-8',
+    '.png': 'image/png',
+    '.json': 'application/json',
+};
+
+class HttpError extends Error {
+    constructor(status, message, details = {}) { super(message); this.status = status; this.details = details; }
+}
+
+async function loadDb() {
+    try {
+        return JSON.parse(await fs.readFile(DATA_FILE, 'utf8'));
+    } catch (e) {
+        if (e.code === 'ENOENT') return { tickets: [], audit: [], views: [] };
+        throw e;
+    }
+}
+
+// Writes go to a temp file first so a crash never leaves a half-written database behind.
+async function saveDb(db) {
+    await fs.mkdir(path.dirname(DATA_FILE), { recursive: true });
+    const tempFile = `${DATA_FILE}.tmp`;
+    await fs.writeFile(tempFile, JSON.stringify(db, null, 2));
+    await fs.rename(tempFile, DATA_FILE);
+}
+
+// Requests are handled one at a time so read-modify-write cycles on the file never overlap.
+let queue = Promise.resolve();
+const serialize = (task) => (queue = queue.then(task, task));
+
+function readBody(req) {
+    return new Promise((resolve, reject) => {
+        let size = 0;
+        const chunks = [];
+        req.on('data', chunk => {
+            size += chunk.length;
+            if (size > MAX_BODY_BYTES) {
+                reject(new HttpError(413, 'Request body too large'));
+                req.destroy();
+            } else {
+                chunks.push(chunk);
+            }
+        });
+        req.on('end', () => {
+            try {
+                resolve(chunks.length ? JSON.parse(Buffer.concat(chunks).toString('utf8')) : {});
+            } catch {
+                reject(new HttpError(400, 'Invalid JSON body'));
+            }
+        });
+        req.on('error', reject);
+    });
+}
+
+// POST, PUT and PATCH carry a single ticket or a set of changes, never a list or a bare value.
+async function readObjectBody(req) {
+    const body = await readBody(req);
+    if (typeof body !== 'object' || body === null || Array.isArray(body)) throw new HttpError(400, 'The request body must be a JSON object');
+    return body;
+}
+
+function send(res, status, body) {
+    res.writeHead(status, {
+        'Access-Control-Allow-Origin': '*',
+        'Access-Control-Allow-Methods': 'GET, POST, PUT, PATCH, DELETE, OPTIONS',
+        'Access-Control-Allow-Headers': 'Content-Type, If-Match, X-Actor',
+        ...(body === undefined ? {} : { 'Content-Type': 'application/json' }),
+    });
+    res.end(body === undefined ? undefined : JSON.stringify(body));
+}
+
+function decodeUrlPart(value) {
+    try {
+        return decodeURIComponent(value);
+    } catch {
+        throw new HttpError(400, 'Malformed URL encoding');
+    }
+}
+
+// The client names the agent in `X-Actor`; the time and the field changes are worked out here.
+// A header that is not valid percent-encoding is kept as sent rather than failing the write.
+function getActor(req) {
+    const header = req.headers['x-actor'];
+    if (!header) return undefined;
+    try {
+        return decodeURIComponent(header);
+    } catch {
+        return header;
+    }
+}
+
+function recordAudit(db, req, action, before, after) {
+    const actor = getActor(req);
+    db.audit ??= [];
+    db.audit.push(createAuditEntry(action, before, after, actor || 'Unknown'));
+}
+
+async function handleApi(req, res, ticketId, subresource) {
+    const db = await loadDb();
+    // The history outlives the ticket, so it can still be read after a delete.
+    if (subresource === 'audit') {
+        if (req.method !== 'GET') throw new HttpError(405, `${req.method} not allowed`);
+        return send(res, 200, (db.audit || []).filter(entry => entry.ticketId === ticketId));
+    }
+    const index = ticketId ? db.tickets.findIndex(t => t.id === ticketId) : -1;
+    // PUT writes the whole ticket, so it may create one that does not exist yet.
+    if (ticketId && index === -1 && req.method !== 'PUT') throw new HttpError(404, `Ticket ${ticketId} not found`);
+
+    switch (`${req.method} ${ticketId ? 'item' : 'collection'}`) {
+        case 'GET collection':
+            return send(res, 200, db.tickets);
+        case 'POST collection': {
+            const ticket = await readObjectBody(req);
+            if (!TICKET_ID_PATTERN.test(ticket.id)) throw new HttpError(400, 'Ticket id must be capital letters, digits and dashes');
+            if (db.tickets.some(t => t.id === ticket.id)) throw new HttpError(409, `Ticket ${ticket.id} already exists`);
+            db.tickets.unshift(ticket);
+            recordAudit(db, req, 'created', null, ticket);
+            await saveDb(db);
+            return send(res, 201, ticket);
+        }
+        case 'GET item':
+            return send(res, 200, db.tickets[index]);
+        case 'PATCH item': {
+            const updatedData = await readObjectBody(req);
+            const current = db.tickets[index];
+            const currentVersion = current.version || 1;
+            const expectedVersion = req.headers['if-match']?.replace(/"/g, '');
+            if (expectedVersion && Number(expectedVersion) !== currentVersion) {
+                throw new HttpError(409, `Ticket ${ticketId} has changed (version ${currentVersion})`, { ticket: current });
+            }
+            db.tickets[index] = {
+                ...current,
+                ...updatedData,
+                id: ticketId,
+                version: currentVersion + 1,
+                updatedAt: new Date().toISOString(),
+            };
+            recordAudit(db, req, 'updated', current, db.tickets[index]);
+            await saveDb(db);
+            return send(res, 200, db.tickets[index]);
+        }
+        case 'PUT item': {
+            if (!TICKET_ID_PATTERN.test(ticketId)) throw new HttpError(400, 'Ticket id must be capital letters, digits and dashes');
+            const ticket = { ...await readObjectBody(req), id: ticketId };
+            const current = db.tickets[index];
+            if (current) {
+                db.tickets[index] = { ...ticket, version: (current.version || 1) + 1 };
+                recordAudit(db, req, 'updated', current, db.tickets[index]);
+            } else {
+                db.tickets.unshift(ticket);
+                recordAudit(db, req, 'created', null, ticket);
+            }
+            await saveDb(db);
+            return send(res, current ? 200 : 201, current ? db.tickets[index] : ticket);
+        }
+        case 'DELETE item':
+            recordAudit(db, req, 'deleted', db.tickets[index], null);
+            db.tickets.splice(index, 1);
+            await saveDb(db);
+            return send(res, 204);
+        default:
+            throw new HttpError(405, `${req.method} not allowed`);
+    }
+}
+
+// Saved views are shared by every agent and always replaced as a whole list.
+async function handleViews(req, res) {
+    const db = await loadDb();
+    switch (req.method) {
+        case 'GET':
+            return send(res, 200, db.views || []);
+        case 'PUT': {
+            const views = await readBody(req);
+            if (!Array.isArray(views)) throw new HttpError(400, 'Views must be a list');
+            db.views = views;
+            await saveDb(db);
+            return send(res, 200, views);
+        }
+        default:
+            throw new HttpError(405, `${req.method} not allowed`);
+    }
+}
+
+async function serveStatic(req, res, pathname) {
+    const filePath = path.join(APP_ROOT, decodeUrlPart(pathname === '/' ? '/index.html' : pathname));
+    if (!filePath.startsWith(APP_ROOT + path.sep)) throw new HttpError(403, 'Forbidden');
+    try {
+        const content = await fs.readFile(filePath);
+        res.writeHead(200, { 'Content-Type': MIME_TYPES[path.extname(filePath)] || 'application/octet-stream' });
+        res.end(content);
+    } catch {
+        throw new HttpError(404, 'Not found');
+    }
+}
+
+const server = http.createServer((req, res) => {
+    // Parsed against a fixed base: the Host header is client input and may not form a valid URL.
+    const { pathname } = new URL(req.url, 'http://localhost');
+    const match = pathname.match(/^\/tickets(?:\/([^/]+)(?:\/(audit))?)?\/?$/);
+
+    const handle = async () => {
+        if (req.method === 'OPTIONS') return send(res, 204);
+        if (match) return serialize(() => handleApi(req, res, match[1] && decodeUrlPart(match[1]), match[2]));
+        if (/^\/views\/?$/.test(pathname)) return serialize(() => handleViews(req, res));
+        if (req.method === 'GET') return serveStatic(req, res, pathname);
+        throw new HttpError(404, 'Not found');
+    };
+
+    handle().catch(error => {
+        if (!(error instanceof HttpError)) console.error(error);
+        if (!res.headersSent) {
+            send(res, error.status || 500, error.status ? { error: error.message, ...error.details } : { error: 'Internal server error' });
+        }
+    });
+});
+
+server.listen(PORT, () => {
+    console.log(`Tatua mock server running at http://localhost:${PORT}`);
+    console.log(`Open http://localhost:${PORT}/index.html?storage=remote`);
+    console.log(`Tickets are stored in ${DATA_FILE}`);
+});